@@ -1,26 +1,25 @@
 // index.js
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const path = require('path');
 const bodyParser = require('body-parser');
-const { Configuration, OpenAIApi } = require('openai');
-const cloudinary = require('cloudinary').v2;
+const { createProvider } = require('./utils/providers');
+const ImageProcessor = require('./utils/image-processor');
+const { fetchImage } = require('./utils/remote-image');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Set up OpenAI
-const openai = new OpenAIApi(new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-}));
+// The LLM provider (LLM_PROVIDER selects openai, openai-compatible or mock),
+// made on first use so a missing API key fails the request, not startup
+let provider = null;
 
-// Set up Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+function getCopyProvider() {
+  if (!provider) {
+    provider = createProvider(undefined, { model: 'gpt-4' });
+  }
+  return provider;
+}
 
 // Middleware
 app.use(bodyParser.json());
@@ -36,16 +35,15 @@ app.post('/generate', async (req, res) => {
   try {
     const { topic } = req.body;
 
-    const response = await openai.createChatCompletion({
-      model: 'gpt-4',
+    const content = await getCopyProvider().complete({
       messages: [
         { role: 'system', content: 'You are a web copywriter and designer.' },
         { role: 'user', content: `Write a fun, friendly, and personal 3-section website based on this topic: ${topic}` }
       ],
+      fixture: 'copy',
+      context: { topic }
     });
 
-    const content = response.data.choices[0].message.content;
-
     res.json({ success: true, content });
   } catch (err) {
     console.error(err);
@@ -53,21 +51,33 @@ app.post('/generate', async (req, res) => {
   }
 });
 
-// Upload image to Cloudinary
+// Copy an image from a URL into the image storage (STORAGE_DRIVER) and
+// library. Only public hosts are fetched from, and only images are kept.
 app.post('/upload', async (req, res) => {
+  let source = null;
   try {
-    const { imageUrl } = req.body;
-    const result = await cloudinary.uploader.upload(imageUrl, {
-      folder: 'generated-sites'
-    });
-    res.json({ success: true, url: result.secure_url });
+    source = new URL(req.body.imageUrl);
+  } catch (err) {
+    // Missing or not a URL
+  }
+  if (!source || !['http:', 'https:'].includes(source.protocol)) {
+    return res.status(400).json({ success: false, message: 'imageUrl must be an http(s) URL.' });
+  }
+
+  try {
+    const image = await ImageProcessor.processUploadedImage(await fetchImage(source.href), { source: 'url' });
+    res.json({ success: true, url: image.url, image });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ success: false, message: 'Image upload failed.' });
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Image upload failed.' });
   }
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -23,6 +23,13 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: 'Request Error',
+      details: err.message
+    });
+  }
+
   res.status(500).json({
     error: 'Internal Server Error',
     details: process.env.NODE_ENV === 'production' ? 
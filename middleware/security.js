@@ -14,9 +14,23 @@ const uploadLimiter = rateLimit({
   message: 'Upload limit exceeded, please try again later.'
 });
 
+const formLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10, // Limit each IP to 10 form submissions per windowMs
+  message: 'Too many submissions from this IP, please try again later.'
+});
+
+const checkoutLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 20, // Limit each IP to 20 checkouts per windowMs
+  message: 'Too many checkouts from this IP, please try again later.'
+});
+
 module.exports = {
   limiter,
   uploadLimiter,
+  formLimiter,
+  checkoutLimiter,
   setupSecurity: (app) => {
     // Basic security headers
     app.use(helmet());
@@ -26,7 +40,7 @@ module.exports = {
       origin: process.env.ALLOWED_ORIGINS ? 
         process.env.ALLOWED_ORIGINS.split(',') : 
         '*',
-      methods: ['GET', 'POST'],
+      methods: ['GET', 'POST', 'PATCH', 'DELETE'],
       allowedHeaders: ['Content-Type', 'Authorization']
     }));
 
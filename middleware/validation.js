@@ -1,15 +1,532 @@
 const Joi = require('joi');
-const sanitizeHtml = require('sanitize-html');
+const { plainText } = require('../utils/escape');
+const { parseCsv } = require('../utils/csv');
+const { themeRegistry, DEFAULT_THEME, WEBSITE_TYPES } = require('../utils/theme-registry');
+const { IMAGE_SOURCES } = require('../utils/image-library');
+
+// BCP 47 language with an optional region: en, es, pt-BR
+const languageCode = Joi.string().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a language code such as en, es or pt-BR' });
+
+const slug = Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/);
+const currencyCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 4217 currency code such as USD' });
+
+// A restaurant menu: categories of dishes with prices in `currency` (an ISO
+// 4217 code) and dietary tags from DIETARY_TAGS
+const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'spicy'];
+const menuSchema = Joi.object({
+  currency: currencyCode.default('USD'),
+  categories: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().allow('').default(''),
+    items: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      description: Joi.string().allow('').default(''),
+      price: Joi.number().min(0).precision(2).required(),
+      dietary: Joi.array().items(Joi.string().trim().lowercase().valid(...DIETARY_TAGS)).unique().default([])
+    })).min(1).max(30).required()
+  })).min(1).max(12).required()
+});
+
+// A product in a retail site's catalog, from the request or written by the
+// model; slugs are assigned when the catalog is built
+const productSchema = Joi.object({
+  slug,
+  categorySlug: slug,
+  sku: Joi.string().trim().max(64).allow('').default(''),
+  name: Joi.string().trim().max(200).required(),
+  description: Joi.string().trim().max(2000).allow('').default(''),
+  price: Joi.number().min(0).precision(2).required(),
+  category: Joi.string().trim().max(60).default('Products'),
+  image: Joi.string().trim().max(500).allow('').default('')
+});
+const productList = Joi.array().items(productSchema).min(1).max(100);
+
+// The same products as CSV text with a header row: name and price columns,
+// optionally description, category, image and sku. Prices may carry a
+// currency symbol or thousands separators ("$1,299.00").
+const productsCsv = Joi.string().max(500000).custom((value, helpers) => {
+  let rows;
+  try {
+    rows = parseCsv(value);
+  } catch (error) {
+    return helpers.message(`products CSV: ${error.message}`);
+  }
+  const { error, value: parsed } = productList.validate(rows.map(csvProduct), { stripUnknown: true });
+  return error ? helpers.message(`products CSV: ${error.message}`) : parsed;
+});
+
+// A product row from CSV, its price stripped of currency symbols and
+// thousands separators
+function csvProduct(row) {
+  return row.price ? { ...row, price: row.price.replace(/[^\d.-]/g, '') } : row;
+}
+
+// Facts about the business sent with a request (its data file). They are
+// used as they are; the model only writes the copy around them.
+const seedDataSchema = Joi.object({
+  company: Joi.object({
+    tagline: Joi.string().trim().max(200),
+    description: Joi.string().trim().max(500),
+    story: Joi.string().trim().max(5000),
+    mission: Joi.string().trim().max(1000),
+    address: Joi.string().trim().max(300),
+    phone: Joi.string().trim().max(50),
+    email: Joi.string().trim().email().max(254),
+    hours: Joi.string().trim().max(500)
+  }),
+  services: Joi.array().items(Joi.object({
+    title: Joi.string().trim().max(200).required(),
+    description: Joi.string().trim().max(2000),
+    icon: Joi.string().trim().max(60)
+  })).min(1).max(12),
+  stats: Joi.array().items(Joi.object({
+    number: Joi.alternatives().try(Joi.string().trim().max(20), Joi.number().custom(value => String(value))).required(),
+    label: Joi.string().trim().max(100).required()
+  })).max(8),
+  team: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    position: Joi.string().trim().max(100),
+    bio: Joi.string().trim().max(2000)
+  })).max(30),
+  testimonials: Joi.array().items(Joi.object({
+    quote: Joi.string().trim().max(1000).required(),
+    author: Joi.string().trim().max(100).required(),
+    role: Joi.string().trim().max(100)
+  })).max(20),
+  products: productList
+}).min(1);
+
+// Where each `type` of row in a CSV data file goes
+const SEED_ROW_TYPES = {
+  company: 'company',
+  service: 'services',
+  stat: 'stats',
+  team: 'team',
+  testimonial: 'testimonials',
+  product: 'products'
+};
+
+// Group the rows of a CSV data file by their `type` column. The company's
+// facts may be spread over several rows.
+function seedDataFromRows(rows) {
+  const data = {};
+  rows.forEach(({ type = '', ...fields }, index) => {
+    const key = SEED_ROW_TYPES[type.toLowerCase()];
+    if (!key) {
+      throw new Error(`row ${index + 1} has type "${type}", expected one of ${Object.keys(SEED_ROW_TYPES).join(', ')}`);
+    }
+    if (key === 'company') {
+      data.company = { ...data.company, ...fields };
+    } else {
+      data[key] = [...(data[key] || []), key === 'products' ? csvProduct(fields) : fields];
+    }
+  });
+  return data;
+}
+
+// The data file as uploaded: a JSON object, or CSV with a `type` column and
+// the fields of each type as the other columns. Columns a type doesn't use
+// are ignored.
+const seedDataText = Joi.string().max(500000).custom((value, helpers) => {
+  const json = value.trim().startsWith('{');
+  let data;
+  try {
+    data = json ? JSON.parse(value) : seedDataFromRows(parseCsv(value));
+  } catch (error) {
+    return helpers.message(`data file: ${error.message}`);
+  }
+  const { error, value: parsed } = seedDataSchema.validate(data, { stripUnknown: !json });
+  return error ? helpers.message(`data file: ${error.message}`) : parsed;
+});
+
+// Places in the page templates an image can fill: the hero background, the
+// about section, and a service card or team member by position
+const imageSlot = Joi.string().pattern(/^(hero|about|services\.\d{1,2}|team\.\d{1,2})$/)
+  .messages({ 'string.pattern.base': '"slot" must be hero, about, services.<n> or team.<n>' });
+
+const imagePlacementList = Joi.array().items(Joi.object({
+  slot: imageSlot.required(),
+  image: Joi.string().required(),
+  alt: Joi.string().trim().max(300)
+})).max(20).unique('slot').unique('image');
+
+const hexColor = Joi.string().trim().pattern(/^#(?:[0-9a-fA-F]{3}){1,2}$/);
+
+// A family name as written in CSS (quoted), such as "Playfair Display"
+const fontFamily = Joi.string().trim().pattern(/^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u).max(60)
+  .messages({ 'string.pattern.base': '{{#label}} must be a font family name such as Open Sans' });
+
+// A client's brand guidelines: the logo (an uploaded image's URL, as in
+// `images`), exact colours, font families and notes on the voice of the copy
+const brandKitSchema = Joi.object({
+  logo: Joi.string().max(2000),
+  colors: Joi.object({
+    primary: hexColor,
+    secondary: hexColor,
+    accent: hexColor
+  }).min(1),
+  // `url` is a stylesheet loading the fonts; Google Fonts when left out
+  fonts: Joi.object({
+    heading: fontFamily,
+    body: fontFamily,
+    url: Joi.string().uri({ scheme: ['https'] })
+  }).or('heading', 'body'),
+  voice: Joi.string().trim().max(1000)
+}).min(1);
+
+// Before theme packs, `theme` was light or dark and `style` picked the look.
+// Older clients still send them: light (their default) becomes the theme for
+// their style, and dark is the dark theme.
+const LEGACY_STYLES = { modern: 'modern', classic: 'classic', minimalist: 'minimal' };
 
 const generateSchema = Joi.object({
   biz: Joi.string().trim().required().max(100),
   niche: Joi.string().trim().required().max(100),
-  theme: Joi.string().valid('light', 'dark').default('light'),
-  style: Joi.string().valid('modern', 'classic', 'minimalist').default('modern'),
-  websiteType: Joi.string().valid('business', 'retail', 'blog', 'portfolio', 'restaurant').default('business'),
-  images: Joi.array().items(Joi.string()).max(5).default([])
+  theme: Joi.string().valid(...themeRegistry.ids(), 'light'),
+  style: Joi.string().valid(...Object.keys(LEGACY_STYLES)),
+  websiteType: Joi.string().valid(...WEBSITE_TYPES).default('business'),
+  // Public address of the site, for canonical URLs and the sitemap
+  siteUrl: Joi.string().uri({ scheme: ['http', 'https'] }).custom(value => value.replace(/\/*$/, '/')),
+  // The first language is the site's default and is served from the root
+  languages: Joi.array().items(languageCode).min(1).max(5).unique().default(['en']),
+  // Number of posts written for blog sites
+  posts: Joi.number().integer().min(1).max(20).default(6),
+  // The restaurant's own menu; generated when left out
+  menu: menuSchema,
+  // The shop's products, as a list or CSV text; placeholders are generated
+  // when left out
+  products: Joi.alternatives().conditional(Joi.string(), { then: productsCsv, otherwise: productList }),
+  currency: currencyCode,
+  // Facts about the business to build the site from, as an object or the
+  // text of a JSON or CSV file
+  data: Joi.alternatives().conditional(Joi.string(), { then: seedDataText, otherwise: seedDataSchema }),
+  images: Joi.array().items(Joi.string()).max(5).default([]),
+  // Where some or all of `images` go; the model places the rest
+  imagePlacements: imagePlacementList,
+  brandKit: brandKitSchema,
+  // An uploaded image (such as the logo or hero photo) whose dominant
+  // colours become the site's palette
+  paletteFrom: Joi.string().max(2000)
+}).custom(({ style, ...value }, helpers) => {
+  if (!value.theme || value.theme === 'light') {
+    const styleTheme = style && LEGACY_STYLES[style];
+    value.theme = styleTheme && themeRegistry.get(styleTheme) ? styleTheme : DEFAULT_THEME;
+  }
+  const { websiteTypes } = themeRegistry.get(value.theme);
+  if (!websiteTypes.includes(value.websiteType)) {
+    return helpers.message(`theme "${value.theme}" does not support ${value.websiteType} sites`);
+  }
+  if (value.menu && value.websiteType !== 'restaurant') {
+    return helpers.message('"menu" is only used by restaurant sites');
+  }
+  if (value.products && value.websiteType !== 'retail') {
+    return helpers.message('"products" is only used by retail sites');
+  }
+  if (value.data && value.data.products && value.websiteType !== 'retail') {
+    return helpers.message('"data" products are only used by retail sites');
+  }
+  if (value.data && value.data.products && value.products) {
+    return helpers.message('send products in either "products" or "data", not both');
+  }
+  const stray = (value.imagePlacements || []).find(placement => !value.images.includes(placement.image));
+  if (stray) {
+    return helpers.message(`"imagePlacements" image ${stray.image} is not one of "images"`);
+  }
+  return value;
+});
+
+// The model's answer when placing images: a slot (or none) and alt text for
+// each image, numbered from 1
+const imagePlacementSchema = Joi.object({
+  images: Joi.array().items(Joi.object({
+    image: Joi.number().integer().min(1).required(),
+    slot: Joi.string().allow(null).default(null),
+    alt: Joi.string().trim().max(300).required()
+  })).min(1).required()
+});
+
+// A blog post. The model writes the title, category, excerpt and body; id,
+// slugs and date are assigned when the post is added to a site.
+const blogPostSchema = Joi.object({
+  id: Joi.string(),
+  slug,
+  categorySlug: slug,
+  date: Joi.string().isoDate(),
+  title: Joi.string().required(),
+  category: Joi.string().default('General'),
+  excerpt: Joi.string().allow('').default(''),
+  body: Joi.array().items(Joi.string()).min(1).required()
+});
+
+const blogSchema = Joi.object({
+  title: Joi.string().default('Blog'),
+  intro: Joi.string().allow('').default(''),
+  posts: Joi.array().items(blogPostSchema).min(1).required()
+});
+
+// A portfolio project shown in the gallery of a portfolio site. The model
+// writes the copy for each uploaded image; the image path and slugs are
+// assigned when the portfolio is built.
+const portfolioProjectSchema = Joi.object({
+  image: Joi.string(),
+  slug,
+  categorySlug: slug,
+  title: Joi.string().required(),
+  category: Joi.string().default('Work'),
+  description: Joi.string().allow('').default(''),
+  alt: Joi.string().allow('').default('')
+});
+
+const portfolioSchema = Joi.object({
+  title: Joi.string().default('Our Work'),
+  intro: Joi.string().allow('').default(''),
+  projects: Joi.array().items(portfolioProjectSchema).min(1).required()
+});
+
+// A retail site's catalog. `placeholder` marks products the model made up
+// because the request had none.
+const catalogSchema = Joi.object({
+  title: Joi.string().default('Shop'),
+  intro: Joi.string().allow('').default(''),
+  currency: currencyCode.default('USD'),
+  placeholder: Joi.boolean().default(false),
+  products: productList.required()
+});
+
+// An uploaded image placed in a section (see utils/image-placement.js): its
+// path in the site and alt text
+const placedImage = {
+  image: Joi.string().max(500),
+  imageAlt: Joi.string().allow('')
+};
+
+// Shape of the model-generated content rendered by POST /generate
+const siteContentSchema = Joi.object({
+  branding: Joi.object({
+    tagline: Joi.string().required(),
+    description: Joi.string().allow('').default('')
+  }).required(),
+  colors: Joi.object({
+    primary: hexColor.default('#2563EB'),
+    secondary: hexColor.default('#1E40AF'),
+    accent: hexColor.default('#F59E0B')
+  }).default(),
+  landing: Joi.object({
+    hero: Joi.object({
+      headline: Joi.string().required(),
+      subheading: Joi.string().allow('').default(''),
+      ctaText: Joi.string().default('Contact Us'),
+      ...placedImage
+    }).required(),
+    services: Joi.array().items(Joi.object({
+      title: Joi.string().required(),
+      description: Joi.string().allow('').default(''),
+      icon: Joi.string().default('fas fa-star'),
+      ...placedImage
+    })).min(1).required(),
+    stats: Joi.array().items(Joi.object({
+      number: Joi.string().required(),
+      label: Joi.string().required()
+    })).default([]),
+    // Only ever from the request's data file, never written by the model
+    testimonials: Joi.array().items(Joi.object({
+      quote: Joi.string().required(),
+      author: Joi.string().required(),
+      role: Joi.string().allow('').default('')
+    })).default([])
+  }).required(),
+  about: Joi.object({
+    headline: Joi.string().default('About Us'),
+    story: Joi.string().required(),
+    mission: Joi.string().allow('').default(''),
+    values: Joi.array().items(Joi.object({
+      title: Joi.string().required(),
+      description: Joi.string().allow('').default('')
+    })).default([]),
+    team: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      position: Joi.string().allow('').default(''),
+      bio: Joi.string().allow('').default(''),
+      ...placedImage
+    })).default([]),
+    ...placedImage
+  }).required(),
+  contact: Joi.object({
+    headline: Joi.string().default('Contact Us'),
+    subtitle: Joi.string().allow('').default(''),
+    address: Joi.string().allow('').default(''),
+    phone: Joi.string().allow('').default(''),
+    email: Joi.string().allow('').default(''),
+    hours: Joi.string().allow('').default('')
+  }).required(),
+  // Blog sites only
+  blog: blogSchema,
+  // Restaurant sites only
+  menu: menuSchema,
+  // Portfolio sites with uploaded images only
+  portfolio: portfolioSchema,
+  // Retail sites only
+  catalog: catalogSchema,
+  // Fixed interface text in the templates; English unless translated
+  labels: Joi.object({
+    home: Joi.string().default('Home'),
+    about: Joi.string().default('About'),
+    contact: Joi.string().default('Contact'),
+    services: Joi.string().default('Our Services'),
+    whyChooseUs: Joi.string().default('Why Choose Us'),
+    testimonials: Joi.string().default('What Our Clients Say'),
+    mission: Joi.string().default('Our Mission'),
+    values: Joi.string().default('Our Values'),
+    team: Joi.string().default('Meet Our Team'),
+    getInTouch: Joi.string().default('Get in Touch'),
+    name: Joi.string().default('Name'),
+    email: Joi.string().default('Email'),
+    phone: Joi.string().default('Phone'),
+    message: Joi.string().default('Message'),
+    address: Joi.string().default('Address'),
+    hours: Joi.string().default('Hours'),
+    sendMessage: Joi.string().default('Send Message'),
+    thankYou: Joi.string().default('Thank you for your message! We will get back to you soon.'),
+    messageFailed: Joi.string().default('Sorry, your message could not be sent. Please try again.'),
+    allRightsReserved: Joi.string().default('All rights reserved.'),
+    language: Joi.string().default('Language'),
+    blog: Joi.string().default('Blog'),
+    categories: Joi.string().default('Categories'),
+    readMore: Joi.string().default('Read more'),
+    newerPosts: Joi.string().default('Newer posts'),
+    olderPosts: Joi.string().default('Older posts'),
+    postedIn: Joi.string().default('Posted in'),
+    menu: Joi.string().default('Menu'),
+    openingHours: Joi.string().default('Opening Hours'),
+    closed: Joi.string().default('Closed'),
+    reservations: Joi.string().default('Reservations'),
+    reservationIntro: Joi.string().default('Tell us when you would like to visit and we will confirm your table.'),
+    date: Joi.string().default('Date'),
+    time: Joi.string().default('Time'),
+    partySize: Joi.string().default('Guests'),
+    specialRequests: Joi.string().default('Special requests'),
+    requestTable: Joi.string().default('Request a Table'),
+    reservationThanks: Joi.string().default('Thank you! We will be in touch to confirm your reservation.'),
+    diets: Joi.object({
+      vegetarian: Joi.string().default('Vegetarian'),
+      vegan: Joi.string().default('Vegan'),
+      'gluten-free': Joi.string().default('Gluten-free'),
+      'dairy-free': Joi.string().default('Dairy-free'),
+      'nut-free': Joi.string().default('Nut-free'),
+      spicy: Joi.string().default('Spicy')
+    }).default(),
+    portfolio: Joi.string().default('Portfolio'),
+    allProjects: Joi.string().default('All'),
+    filterProjects: Joi.string().default('Filter projects'),
+    backToPortfolio: Joi.string().default('Back to portfolio'),
+    previousProject: Joi.string().default('Previous project'),
+    nextProject: Joi.string().default('Next project'),
+    shop: Joi.string().default('Shop'),
+    product: Joi.string().default('Product'),
+    cart: Joi.string().default('Cart'),
+    addToCart: Joi.string().default('Add to cart'),
+    addedToCart: Joi.string().default('Added to cart'),
+    quantity: Joi.string().default('Quantity'),
+    remove: Joi.string().default('Remove'),
+    total: Joi.string().default('Total'),
+    checkout: Joi.string().default('Checkout'),
+    cartEmpty: Joi.string().default('Your cart is empty.'),
+    cartNeedsScript: Joi.string().default('The cart needs JavaScript to be enabled.'),
+    continueShopping: Joi.string().default('Continue shopping'),
+    orderThanks: Joi.string().default('Thank you for your order!')
+  }).default()
+});
+
+// A cart handed to checkout: { items: { <product slug>: quantity } } and the
+// page the visitor returns to after paying
+const checkoutSchema = Joi.object({
+  items: Joi.object().pattern(slug, Joi.number().integer().min(1).max(99)).min(1).max(100).required(),
+  returnUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000)
+});
+
+const postSchema = Joi.object({
+  topic: Joi.string().trim().max(200).allow('').default(''),
+  category: Joi.string().trim().max(60)
+});
+
+const translationSchema = Joi.object({
+  language: languageCode.required()
+});
+
+// A visitor's submission of a generated site's form. Field names come from
+// the templates (and the model's formFields), so any simple name is accepted;
+// `_honey` is a hidden field only bots fill in.
+const formSubmissionSchema = Joi.object({
+  email: Joi.string().trim().email().max(254),
+  _honey: Joi.string().allow('')
+})
+  .pattern(/^[a-z][a-z0-9_-]{0,63}$/i, Joi.string().trim().max(5000).allow(''))
+  .max(30)
+  .custom((value, helpers) => {
+    const filled = Object.entries(value).some(([name, field]) => name !== '_honey' && field);
+    return filled ? value : helpers.message('submission must include at least one filled-in field');
+  });
+
+const regenerateSectionSchema = Joi.object({
+  section: Joi.string()
+    .pattern(/^(branding|colors|landing|about|contact)(\.[A-Za-z0-9_]+)*$/)
+    // Object internals are not content, and writing to them would reach
+    // Object.prototype
+    .pattern(/(^|\.)(__proto__|constructor|prototype)(\.|$)/, { invert: true })
+    .required()
+    .messages({
+      'string.pattern.base': '"section" must be a content path such as landing.services or about.story',
+      'string.pattern.invert.base': '"section" must be a content path such as landing.services or about.story'
+    }),
+  instruction: Joi.string().trim().max(500).allow('').default('')
+});
+
+const imageTag = Joi.string().trim().lowercase().pattern(/^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u).max(40)
+  .messages({ 'string.pattern.base': 'tags are words of letters, digits, spaces, - and _' });
+
+const imageQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).allow('').default(''),
+  tag: imageTag,
+  source: Joi.string().valid(...IMAGE_SOURCES),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
+const imageUpdateSchema = Joi.object({
+  alt: Joi.string().trim().max(300).allow(''),
+  tags: Joi.array().items(imageTag).max(20).unique()
+}).min(1);
+
+// Sizes, qualities and styles the DALL-E models offer. Each model makes only
+// some of the sizes (DALL-E 3 the last three, DALL-E 2 the first three), so
+// the generator fits a size to the nearest one its model makes.
+const IMAGE_SIZES = ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'];
+const IMAGE_QUALITIES = ['standard', 'hd'];
+const IMAGE_STYLES = ['vivid', 'natural'];
+
+const imageOptions = {
+  quality: Joi.string().valid(...IMAGE_QUALITIES),
+  style: Joi.string().valid(...IMAGE_STYLES)
+};
+
+const imageGenerationSchema = Joi.object({
+  prompt: Joi.string().trim().max(4000).required(),
+  size: Joi.string().valid(...IMAGE_SIZES).default('1024x1024'),
+  n: Joi.number().integer().min(1).max(4).default(1),
+  ...imageOptions
+});
+
+// Either prompts of its own, or a project whose content the prompts are
+// derived from. A quality and style given here apply to prompts that don't
+// set their own.
+const imageBatchSchema = Joi.object({
+  prompts: Joi.array().items(imageGenerationSchema.keys({ slot: imageSlot })).min(1).max(12),
+  projectId: Joi.string().guid(),
+  ...imageOptions
+}).xor('prompts', 'projectId');
+
 const validateGenerateInput = (req, res, next) => {
   const { error, value } = generateSchema.validate(req.body);
   
@@ -20,14 +537,79 @@ const validateGenerateInput = (req, res, next) => {
     });
   }
 
-  // Sanitize text inputs
-  value.biz = sanitizeHtml(value.biz);
-  value.niche = sanitizeHtml(value.niche);
+  // Store as plain text; templates escape it for wherever it is rendered
+  value.biz = plainText(value.biz);
+  value.niche = plainText(value.niche);
+  if (!value.biz || !value.niche) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: 'biz and niche must contain text, not only markup'
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Generic body validator for schemas that need no extra sanitizing
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details[0].message
+    });
+  }
 
   req.body = value;
   next();
 };
 
+// Same as validateBody, for query strings (numbers arrive as text)
+const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+// Validate model output, filling defaults for optional fields. Unknown keys
+// are kept so richer model output still reaches the templates.
+const validateSiteContent = (content) => siteContentSchema.validate(content, {
+  abortEarly: false,
+  allowUnknown: true
+});
+
 module.exports = {
-  validateGenerateInput
+  generateSchema,
+  siteContentSchema,
+  regenerateSectionSchema,
+  translationSchema,
+  blogSchema,
+  blogPostSchema,
+  DIETARY_TAGS,
+  menuSchema,
+  portfolioSchema,
+  catalogSchema,
+  imagePlacementSchema,
+  checkoutSchema,
+  postSchema,
+  formSubmissionSchema,
+  imageQuerySchema,
+  imageUpdateSchema,
+  IMAGE_SIZES,
+  imageGenerationSchema,
+  imageBatchSchema,
+  validateBody,
+  validateQuery,
+  validateGenerateInput,
+  validateSiteContent
 };
@@ -0,0 +1,117 @@
+const express = require('express');
+const cors = require('cors');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { projectStore } = require('../utils/project-store');
+const { getPaymentProvider, minorUnits } = require('../utils/payments');
+const { escapeXml } = require('../utils/escape');
+const { checkoutSchema, validateBody } = require('../middleware/validation');
+const { checkoutLimiter } = require('../middleware/security');
+const logger = require('../utils/logger');
+
+// Generated sites are published on their own domains
+const anyOrigin = cors({ origin: '*', methods: ['POST'] });
+
+function findShop(req, res, next) {
+  const project = projectStore.get(req.params.siteId);
+  if (!project || !project.content || !project.content.catalog) {
+    return res.status(404).json({ error: 'Shop not found' });
+  }
+  req.project = project;
+  next();
+}
+
+// The page the visitor checked out from, flagged with the outcome for the
+// cart script (?checkout=success clears the cart)
+function returnUrl(page, status) {
+  const url = new URL(page);
+  url.searchParams.set('checkout', status);
+  return url.toString();
+}
+
+// Check out a cart from a generated site. Prices come from the stored
+// catalog, never from the visitor.
+router.post('/:siteId', anyOrigin, checkoutLimiter, findShop, validateBody(checkoutSchema), async (req, res) => {
+  const { catalog } = req.project.content;
+  const entries = Object.entries(req.body.items);
+  const unknown = entries.filter(([slug]) => !catalog.products.some(product => product.slug === slug));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: `Unknown products: ${unknown.map(([slug]) => slug).join(', ')}`
+    });
+  }
+
+  const items = entries.map(([slug, quantity]) => {
+    const product = catalog.products.find(candidate => candidate.slug === slug);
+    return { slug, name: product.name, unitAmount: minorUnits(product.price, catalog.currency), quantity };
+  });
+  const page = req.body.returnUrl || (req.project.input.siteUrl && `${req.project.input.siteUrl}cart.html`);
+
+  try {
+    const link = await getPaymentProvider().createPaymentLink({
+      reference: uuidv4(),
+      siteId: req.project.id,
+      currency: catalog.currency,
+      items,
+      successUrl: page && returnUrl(page, 'success'),
+      cancelUrl: page && returnUrl(page, 'cancelled')
+    });
+    logger.info({ message: 'Checkout started', siteId: req.project.id, checkoutId: link.id });
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(303, link.url);
+    }
+    res.status(201).json(link);
+  } catch (error) {
+    logger.error({ message: 'Checkout failed', siteId: req.project.id, error: error.message });
+    res.status(error.status || 502).json({ error: 'Checkout failed', details: error.message });
+  }
+});
+
+function findStubCheckout(req, res, next) {
+  const provider = getPaymentProvider();
+  const session = provider.name === 'stub' ? provider.getSession(req.params.id) : null;
+  if (!session) {
+    return res.status(404).json({ error: 'Checkout not found' });
+  }
+  req.checkout = session;
+  next();
+}
+
+function stubPage(session) {
+  const digits = new Intl.NumberFormat('en', { style: 'currency', currency: session.currency }).resolvedOptions().maximumFractionDigits;
+  const money = amount => new Intl.NumberFormat('en', { style: 'currency', currency: session.currency }).format(amount / 10 ** digits);
+  const rows = session.items.map(item => `<tr><td>${escapeXml(item.name)}</td><td>${item.quantity}</td><td>${money(item.unitAmount * item.quantity)}</td></tr>`).join('');
+  const actions = session.status === 'paid'
+    ? `<p>Test payment complete.</p>${session.successUrl ? `<p><a href="${escapeXml(session.successUrl)}">Return to the shop</a></p>` : ''}`
+    : `<form method="POST"><button type="submit">Pay ${money(session.total)} (test)</button></form>${session.cancelUrl ? `<p><a href="${escapeXml(session.cancelUrl)}">Cancel</a></p>` : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Test checkout</title></head>
+<body style="font-family: sans-serif; max-width: 40rem; margin: 3rem auto;">
+<h1>Test checkout</h1>
+<p>No real payment is taken. Set PAYMENT_PROVIDER to use a payment provider.</p>
+<table>
+<thead><tr><th>Item</th><th>Quantity</th><th>Amount</th></tr></thead>
+<tbody>${rows}</tbody>
+<tfoot><tr><th colspan="2">Total</th><td>${money(session.total)}</td></tr></tfoot>
+</table>
+${actions}
+</body>
+</html>`;
+}
+
+// Payment pages of the stub provider
+router.get('/stub/:id', findStubCheckout, (req, res) => {
+  res.type('html').send(stubPage(req.checkout));
+});
+
+router.post('/stub/:id', findStubCheckout, (req, res) => {
+  const session = getPaymentProvider().completeSession(req.checkout.id);
+  logger.info({ message: 'Test checkout paid', siteId: session.siteId, checkoutId: session.id });
+  res.type('html').send(stubPage(session));
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const router = express.Router();
+const { projectStore } = require('../utils/project-store');
+const { publicUrl, submissionsToCsv } = require('../utils/forms');
+const { formSubmissionSchema, validateBody } = require('../middleware/validation');
+const { formLimiter } = require('../middleware/security');
+const logger = require('../utils/logger');
+
+// Generated sites are published on their own domains
+const anyOrigin = cors({ origin: '*', methods: ['POST'] });
+
+function findSite(req, res, next) {
+  const project = projectStore.get(req.params.siteId);
+  if (!project) {
+    return res.status(404).json({ error: 'Site not found' });
+  }
+  req.project = project;
+  next();
+}
+
+// Submissions are read with the project's forms token, as a bearer token or
+// a `token` query parameter (for CSV links). Sites publish the project id
+// in their forms, so knowing it isn't enough.
+function requireFormsToken(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  const given = Buffer.from(typeof token === 'string' ? token : '');
+  const expected = Buffer.from(req.project.formsToken || '');
+  if (expected.length === 0 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing forms token' });
+  }
+  next();
+}
+
+// The page of the site a form was sent from, from the Referer: a URL on the
+// site's own address (its `siteUrl`) or in its preview on this server.
+// Referers from anywhere else are ignored, so visitors are never sent back
+// to, and submissions never record, pages that aren't the site's.
+function sitePage(req) {
+  let page;
+  try {
+    page = new URL(req.get('Referer'));
+  } catch (error) {
+    return null;
+  }
+  const { siteUrl } = req.project.input || {};
+  const onSite = Boolean(siteUrl) && page.origin === new URL(siteUrl).origin;
+  const inPreview = page.origin === new URL(publicUrl()).origin && page.pathname.startsWith(`/api/projects/${req.project.id}/site/`);
+  return onSite || inPreview ? page : null;
+}
+
+// Reply to the page's script with JSON, or send a visitor without scripts
+// back to the page the form was on
+function respond(req, res, body) {
+  const page = sitePage(req);
+  if (req.accepts(['json', 'html']) === 'html' && page) {
+    return res.redirect(303, page.href);
+  }
+  res.status(201).json(body);
+}
+
+// Submit a form from a generated site
+router.post('/:siteId', anyOrigin, formLimiter, findSite, validateBody(formSubmissionSchema), (req, res) => {
+  const { _honey: honey, ...fields } = req.body;
+  if (honey) {
+    logger.warn({ message: 'Form submission rejected as spam', siteId: req.project.id });
+    return respond(req, res, { ok: true });
+  }
+
+  try {
+    const page = sitePage(req);
+    const submission = projectStore.addSubmission(req.project.id, { fields, page: page && page.pathname });
+    logger.info({ message: 'Form submitted', siteId: req.project.id, submissionId: submission.id });
+    respond(req, res, { ok: true, id: submission.id });
+  } catch (error) {
+    logger.error({ message: 'Failed to store form submission', siteId: req.project.id, error: error.message });
+    res.status(500).json({ error: 'Failed to store submission' });
+  }
+});
+
+// Everything submitted through a site's forms, oldest first
+router.get('/:siteId/submissions', findSite, requireFormsToken, (req, res) => {
+  res.json({ submissions: projectStore.listSubmissions(req.project.id) });
+});
+
+router.get('/:siteId/submissions.csv', findSite, requireFormsToken, (req, res) => {
+  res.attachment('submissions.csv');
+  res.type('text/csv').send(submissionsToCsv(projectStore.listSubmissions(req.project.id)));
+});
+
+module.exports = router;
@@ -2,18 +2,17 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const ImageProcessor = require('../utils/image-processor');
+const { imageLibrary } = require('../utils/image-library');
+const { getStorage } = require('../utils/storage');
+const { projectStore } = require('../utils/project-store');
+const { derivePrompts, generateImages } = require('../utils/image-generation');
+const { imagePalette } = require('../utils/palette');
 const { uploadLimiter } = require('../middleware/security');
+const { imageQuerySchema, imageUpdateSchema, imageGenerationSchema, imageBatchSchema, validateBody, validateQuery } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
-  }
-});
+// Uploads are held in memory and handed to the configured storage
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage,
@@ -30,6 +29,20 @@ const upload = multer({
   }
 });
 
+function findImage(req, res, next) {
+  const image = imageLibrary.get(req.params.id);
+  if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  req.image = image;
+  next();
+}
+
+// Search the image library; `tags` lists every tag in use for filtering
+router.get('/', validateQuery(imageQuerySchema), (req, res) => {
+  res.json({ ...imageLibrary.search(req.query), tags: imageLibrary.tags() });
+});
+
 // Handle image upload
 router.post('/upload', uploadLimiter, upload.array('images', 5), async (req, res) => {
   try {
@@ -44,25 +57,88 @@ router.post('/upload', uploadLimiter, upload.array('images', 5), async (req, res
 
     res.json({ images: processedImages });
   } catch (error) {
-    logger.error('Error processing uploads:', error);
-    res.status(500).json({ error: 'Failed to process uploaded images' });
+    logger.error({ message: 'Error processing uploads', error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to process uploaded images', details: error.message });
   }
 });
 
-// Generate AI image
-router.post('/generate-image', async (req, res) => {
+// Generate images from a prompt with the configured image generator and add
+// them to the library; `image` is the first of them
+router.post('/generate-image', uploadLimiter, validateBody(imageGenerationSchema), async (req, res) => {
   try {
-    const { prompt } = req.body;
-    if (!prompt) {
-      return res.status(400).json({ error: 'Image prompt is required' });
+    const [result] = await generateImages([req.body]);
+    if (result.error) {
+      return res.status(502).json({ error: 'Failed to generate image', details: result.error });
     }
+    res.json({ image: result.images[0], images: result.images });
+  } catch (error) {
+    // The generator itself couldn't be set up, e.g. no API key
+    logger.error({ message: 'Error generating image', error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to generate image', details: error.message });
+  }
+});
+
+// Generate images for several prompts at once, or for a project's hero and
+// services from its content. Each result carries its slot, so the images can
+// be sent back as a generation's `images` and `imagePlacements`. Prompts that
+// fail carry an `error` and don't fail the batch.
+router.post('/generate-batch', uploadLimiter, validateBody(imageBatchSchema), async (req, res) => {
+  try {
+    const { prompts, projectId, quality, style } = req.body;
+    let requests = prompts;
+    if (projectId) {
+      const project = projectStore.get(projectId);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!project.content || !project.content.landing) {
+        return res.status(409).json({ error: 'Project has no site content to derive image prompts from' });
+      }
+      requests = derivePrompts(project.content, { biz: project.input.biz, niche: project.input.niche });
+    }
+
+    const options = { ...(quality && { quality }), ...(style && { style }) };
+    const results = await generateImages(requests.map(request => ({ ...options, ...request })));
+    res.json({ results });
+  } catch (error) {
+    logger.error({ message: 'Error generating images', error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to generate images', details: error.message });
+  }
+});
+
+router.get('/:id', findImage, (req, res) => {
+  res.json(req.image);
+});
+
+// The image's dominant colours and the site colours picked from them
+router.get('/:id/palette', findImage, async (req, res) => {
+  try {
+    res.json(await imagePalette(req.image));
+  } catch (error) {
+    logger.error({ message: 'Error extracting palette', imageId: req.image.id, error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to extract palette', details: error.message });
+  }
+});
 
-    const generatedImage = await ImageProcessor.generateImageWithDALLE(prompt);
-    res.json({ image: generatedImage });
+// Set an image's alt text and/or tags
+router.patch('/:id', findImage, validateBody(imageUpdateSchema), (req, res) => {
+  res.json(imageLibrary.update(req.image.id, req.body));
+});
+
+// Remove an image from storage and the library. Sites already generated keep
+// their own copy under images/.
+router.delete('/:id', findImage, async (req, res) => {
+  try {
+    await getStorage().delete(req.image.key);
   } catch (error) {
-    logger.error('Error generating image:', error);
-    res.status(500).json({ error: 'Failed to generate image' });
+    if (error.status !== 404) {
+      logger.error({ message: 'Error deleting image from storage', imageId: req.image.id, error: error.message });
+      return res.status(502).json({ error: 'Failed to delete image', details: error.message });
+    }
   }
+  imageLibrary.delete(req.image.id);
+  logger.info({ message: 'Image deleted', imageId: req.image.id, key: req.image.key });
+  res.status(204).end();
 });
 
 module.exports = router;
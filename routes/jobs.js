@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const JobManager = require('../utils/job-manager');
+const { generateSite } = require('../utils/site-generator');
+const { validateGenerateInput } = require('../middleware/validation');
+const { limiter } = require('../middleware/security');
+const logger = require('../utils/logger');
+
+const jobs = new JobManager({
+  ttl: parseInt(process.env.JOB_TTL_MS, 10) || undefined
+});
+
+function findJob(req, res, next) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  req.job = job;
+  next();
+}
+
+function describe(job) {
+  const body = jobs.serialize(job);
+  body.links = {
+    self: `/api/jobs/${job.id}`,
+    events: `/api/jobs/${job.id}/events`
+  };
+  if (job.status === 'completed') {
+    body.projectId = job.result.project.id;
+    body.formsToken = job.result.project.formsToken;
+    body.accessibility = job.result.accessibility;
+    body.links.artifact = `/api/jobs/${job.id}/artifact`;
+    body.links.project = `/api/projects/${body.projectId}`;
+  }
+  return body;
+}
+
+// Queue a site generation
+router.post('/', limiter, validateGenerateInput, (req, res) => {
+  const input = req.body;
+  const job = jobs.create(report => generateSite(input, { onProgress: report }));
+
+  logger.info({ message: 'Generation job queued', jobId: job.id, biz: input.biz });
+  res.status(202).location(`/api/jobs/${job.id}`).json(describe(job));
+});
+
+// Poll job status
+router.get('/:id', findJob, (req, res) => {
+  res.json(describe(req.job));
+});
+
+// Stream job progress as server-sent events
+router.get('/:id/events', findJob, (req, res) => {
+  const { job } = req;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (state) => {
+    const event = jobs.isFinished(state) ? state.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(describe({ ...job, ...state }))}\n\n`);
+    if (jobs.isFinished(state)) {
+      jobs.removeListener(job.id, send);
+      res.end();
+    }
+  };
+
+  jobs.on(job.id, send);
+  req.on('close', () => jobs.removeListener(job.id, send));
+
+  send(jobs.serialize(job));
+});
+
+// Download the finished site
+router.get('/:id/artifact', findJob, (req, res) => {
+  const { job } = req;
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Artifact not ready',
+      details: `Job is ${job.status}`
+    });
+  }
+
+  res.download(job.result.zipPath, 'website.zip', (err) => {
+    if (err) {
+      logger.error({ message: 'Error downloading job artifact', jobId: job.id, error: err.message });
+    }
+  });
+});
+
+module.exports = router;
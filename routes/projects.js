@@ -0,0 +1,129 @@
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const { projectStore } = require('../utils/project-store');
+const { regenerateSection } = require('../utils/section-regenerator');
+const { addLanguage, addPost } = require('../utils/site-generator');
+const { regenerateSectionSchema, translationSchema, postSchema, validateBody } = require('../middleware/validation');
+const { limiter } = require('../middleware/security');
+const logger = require('../utils/logger');
+
+function findProject(req, res, next) {
+  const project = projectStore.get(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  req.project = project;
+  next();
+}
+
+// List stored projects
+router.get('/', (req, res) => {
+  res.json({ projects: projectStore.list() });
+});
+
+// Full project record, including the generated content
+// (but not its forms token, since the id is public)
+router.get('/:id', findProject, (req, res) => {
+  const { formsToken, ...project } = req.project;
+  res.json({
+    ...project,
+    links: {
+      self: `/api/projects/${project.id}`,
+      download: `/api/projects/${project.id}/download`,
+      accessibility: `/api/projects/${project.id}/accessibility`,
+      preview: `/preview.html?project=${project.id}`
+    }
+  });
+});
+
+// Download the packaged site again
+router.get('/:id/download', findProject, (req, res) => {
+  const zipPath = projectStore.archivePath(req.project.id);
+  if (!fs.existsSync(zipPath)) {
+    return res.status(409).json({
+      error: 'Archive not available',
+      details: `Project is ${req.project.status}`
+    });
+  }
+  res.download(zipPath, 'website.zip');
+});
+
+// Accessibility report from the last audit of the rendered site
+router.get('/:id/accessibility', findProject, (req, res) => {
+  if (!req.project.accessibility) {
+    return res.status(404).json({ error: 'No accessibility report for this project' });
+  }
+  res.json(req.project.accessibility);
+});
+
+// Serve a file from the project's rendered site (used by the preview editor)
+router.get('/:id/site/*', findProject, (req, res) => {
+  res.sendFile(req.params[0], { root: projectStore.siteDir(req.project.id), dotfiles: 'deny' }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 404).json({ error: 'File not found' });
+    }
+  });
+});
+
+// Regenerate one section of the content and re-render the affected pages
+router.post('/:id/sections', limiter, findProject, validateBody(regenerateSectionSchema), async (req, res) => {
+  try {
+    const result = await regenerateSection(req.project, req.body);
+    logger.info({ message: 'Section regenerated', projectId: req.project.id, section: result.section });
+    res.json(result);
+  } catch (error) {
+    logger.error({ message: 'Section regeneration failed', projectId: req.project.id, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Failed to regenerate section',
+      details: error.message
+    });
+  }
+});
+
+// Translate the stored content into another language and add it to the site
+router.post('/:id/translations', limiter, findProject, validateBody(translationSchema), async (req, res) => {
+  const { language } = req.body;
+  try {
+    const project = await addLanguage(req.project, language);
+    logger.info({ message: 'Project translated', projectId: project.id, language });
+    res.status(201).json({
+      language,
+      languages: project.languages,
+      files: project.files
+    });
+  } catch (error) {
+    logger.error({ message: 'Translation failed', projectId: req.project.id, language, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Failed to translate project',
+      details: error.message
+    });
+  }
+});
+
+// Write a new post for a blog project and publish it to the stored site
+router.post('/:id/posts', limiter, findProject, validateBody(postSchema), async (req, res) => {
+  try {
+    const { project, post } = await addPost(req.project, req.body);
+    logger.info({ message: 'Blog post added', projectId: project.id, slug: post.slug });
+    res.status(201).json({
+      post,
+      page: `post-${post.slug}.html`,
+      files: project.files
+    });
+  } catch (error) {
+    logger.error({ message: 'Adding blog post failed', projectId: req.project.id, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Failed to add post',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/:id', findProject, (req, res) => {
+  projectStore.delete(req.project.id);
+  logger.info({ message: 'Project deleted', projectId: req.project.id });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { themeRegistry, DEFAULT_THEME } = require('../utils/theme-registry');
+
+// Public part of a manifest; the template directory stays internal
+function describe({ templates, ...theme }) {
+  return theme;
+}
+
+// Installed themes, optionally only those supporting ?websiteType=
+router.get('/', (req, res) => {
+  const { websiteType } = req.query;
+  const themes = themeRegistry.list()
+    .filter(theme => !websiteType || theme.websiteTypes.includes(websiteType))
+    .map(describe);
+  res.json({ default: DEFAULT_THEME, themes });
+});
+
+router.get('/:id', (req, res) => {
+  const theme = themeRegistry.get(req.params.id);
+  if (!theme) {
+    return res.status(404).json({ error: 'Theme not found' });
+  }
+  res.json(describe(theme));
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { contrastRatio, checkContrast, fixPalette, auditPage } = require('../utils/accessibility');
+
+const siteContent = () => JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../fixtures/llm/site-content.json'), 'utf8').replace(/{{\w+}}/g, 'Acme')
+);
+
+// Files in a zip archive by name, read through its central directory
+function readZip(archive) {
+  const files = {};
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = archive.readUInt32LE(end + 16);
+  for (let count = archive.readUInt16LE(end + 10); count > 0; count--) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = archive.readUInt32LE(offset + 42);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const data = archive.subarray(start, start + archive.readUInt32LE(offset + 20));
+    files[name] = archive.readUInt16LE(offset + 10) === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+  }
+  return files;
+}
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Accessibility audit', () => {
+  const provider = getProvider();
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('computes WCAG contrast ratios', () => {
+    expect(contrastRatio([0, 0, 0], [255, 255, 255])).toBeCloseTo(21);
+    expect(contrastRatio([255, 255, 255], [255, 255, 255])).toBeCloseTo(1);
+  });
+
+  it('fixes failing palettes, including text over gradients', () => {
+    const palette = {
+      'text-primary': '#999999',
+      background: 'linear-gradient(135deg, #ffffff, #eeeeee)',
+      'primary-color': '#ffee00',
+      'secondary-color': '#ffcc00',
+      'on-primary': '#ffffff'
+    };
+    expect(checkContrast(palette).every(check => check.passed)).toBe(false);
+
+    const overrides = fixPalette(palette);
+    expect(Object.keys(overrides)).toEqual(expect.arrayContaining(['text-primary', 'primary-color']));
+    expect(checkContrast({ ...palette, ...overrides }).every(check => check.passed)).toBe(true);
+  });
+
+  it('flags missing alt text, skipped headings, unlabelled fields and icon-only links', () => {
+    const issues = auditPage(`
+      <h1>Title</h1><h3>Skipped</h3>
+      <img src="images/team.jpg"><img src="images/divider.png" alt="">
+      <a href="https://x.example"><i class="fab fa-x"></i></a>
+      <a href="https://y.example" aria-label="Y"><i class="fab fa-y"></i></a>
+      <form>
+        <label for="name">Name</label><input id="name" name="name">
+        <label>Email <input name="email"></label>
+        <input name="phone">
+        <input type="text" name="_honey" aria-hidden="true">
+        <button type="submit"><i class="fas fa-paper-plane"></i></button>
+      </form>`);
+
+    expect(issues.map(issue => issue.rule)).toEqual(['heading-order', 'img-alt', 'link-name', 'link-name', 'label']);
+    expect(issues[3].message).toBe('<button> has no text or aria-label');
+    expect(issues[4].message).toBe('form field "phone" has no label');
+    expect(auditPage('<h2>No title</h2>')).toEqual([{ rule: 'heading-order', message: 'page has no <h1>' }]);
+  });
+
+  it('adjusts unreadable brand colours and reports on the generated site', async () => {
+    const content = siteContent();
+    content.colors = { primary: '#FFF176', secondary: '#FFE082', accent: '#FFFF00' };
+    provider.enqueue(JSON.stringify(content));
+
+    const res = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-accessibility-issues']).toBe('0');
+    const projectId = res.headers['x-project-id'];
+
+    const report = await request(app).get(res.headers['x-accessibility-report']);
+    expect(report.statusCode).toBe(200);
+    expect(report.body.passed).toBe(true);
+    expect(report.body.issues).toEqual([]);
+    const primary = report.body.adjustedColors.find(change => change.variable === 'primary-color');
+    expect(primary.from).toBe('#FFF176');
+
+    const page = await request(app).get(`/api/projects/${projectId}/site/index.html`);
+    expect(page.text).toContain(`--primary-color: ${primary.to};`);
+    expect(page.text).toContain('--on-accent: #111111;');
+  });
+
+  it('ships the report in the downloaded site', async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools' }).buffer(true).parse(binary);
+    expect(res.statusCode).toBe(200);
+
+    const files = readZip(res.body);
+    expect(files).toHaveProperty(['index.html']);
+    const report = JSON.parse(files['accessibility.json'].toString('utf8'));
+    const stored = await request(app).get(res.headers['x-accessibility-report']);
+    expect(report).toEqual(stored.body);
+    expect(report).toMatchObject({ passed: expect.any(Boolean), issues: expect.any(Array) });
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { slugify } = require('../utils/blog');
+
+describe('Blog sites', () => {
+  const provider = getProvider();
+  let projectId;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', websiteType: 'blog', siteUrl: 'https://acme.example' });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+  });
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const site = file => request(app).get(`/api/projects/${projectId}/site/${file}`);
+
+  it('writes each post as a page with a paginated index and category pages', async () => {
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    const { posts } = project.body.content.blog;
+    expect(posts).toHaveLength(6);
+    expect(posts[0].slug).toBe('five-questions-to-ask-before-you-hire');
+    expect(project.body.files).toEqual(expect.arrayContaining([
+      'blog.html',
+      'blog-2.html',
+      'category-guides.html',
+      'category-news.html',
+      'category-stories.html',
+      'feed.xml',
+      ...posts.map(post => `post-${post.slug}.html`)
+    ]));
+    expect(project.body.files).not.toContain('post.html');
+    expect(project.body.accessibility.issues).toEqual([]);
+
+    const index = await site('blog.html');
+    expect(index.text.match(/class="card post-summary"/g)).toHaveLength(5);
+    expect(index.text).toContain('<a href="blog-2.html" rel="next">');
+    expect(index.text).toContain('<a href="blog.html" aria-current="page">Blog</a>');
+    expect(index.text).toContain('<link rel="alternate" type="application/atom+xml" title="The Acme Journal" href="feed.xml">');
+
+    const second = await site('blog-2.html');
+    expect(second.text.match(/class="card post-summary"/g)).toHaveLength(1);
+    expect(second.text).toContain('<a href="blog.html" rel="prev">');
+
+    const post = await site(`post-${posts[1].slug}.html`);
+    expect(post.text).toContain('<h1>Behind the Scenes at Acme</h1>');
+    expect(post.text).toContain(`<time datetime="${posts[1].date}">`);
+    expect(post.text).toContain('<link rel="canonical" href="https://acme.example/post-behind-the-scenes-at-acme.html">');
+
+    const category = await site('category-news.html');
+    expect(category.text.match(/class="card post-summary"/g)).toHaveLength(2);
+
+    const sitemap = await site('sitemap.xml');
+    expect(sitemap.text).toContain('<loc>https://acme.example/category-guides.html</loc>');
+  });
+
+  it('publishes an Atom feed of the posts', async () => {
+    const feed = await site('feed.xml');
+    expect(feed.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">');
+    expect(feed.text.match(/<entry>/g)).toHaveLength(6);
+    expect(feed.text).toContain('<link rel="alternate" type="text/html" href="https://acme.example/post-meet-the-team.html"/>');
+    expect(feed.text).toContain('&lt;p&gt;Our team brings decades of combined experience.&lt;/p&gt;');
+  });
+
+  it('adds a post to a stored blog', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/posts`)
+      .send({ topic: 'Spring maintenance', category: 'Seasonal' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.post).toMatchObject({ slug: 'fresh-ideas-for-tools', category: 'Seasonal' });
+    expect(res.body.files).toEqual(expect.arrayContaining(['post-fresh-ideas-for-tools.html', 'category-seasonal.html']));
+    expect(provider.calls[0].messages[0].content).toMatch(/Topic: Spring maintenance/);
+
+    const index = await site('blog.html');
+    expect(index.text.indexOf('Fresh Ideas for Tools')).toBeLessThan(index.text.indexOf('Five Questions'));
+    const feed = await site('feed.xml');
+    expect(feed.text.match(/<entry>/g)).toHaveLength(7);
+  });
+
+  it('only adds blog pages and posts to blog sites', async () => {
+    const business = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools' });
+    const businessId = business.headers['x-project-id'];
+    const project = await request(app).get(`/api/projects/${businessId}`);
+    expect(project.body.files).toEqual(['about.html', 'accessibility.json', 'contact.html', 'index.html', 'robots.txt']);
+
+    const res = await request(app).post(`/api/projects/${businessId}/posts`).send({});
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('turns titles into unique, readable slugs', () => {
+    expect(slugify('Crème Brûlée: 5 Tips!')).toBe('creme-brulee-5-tips');
+    expect(slugify('???')).toBe('post');
+  });
+});
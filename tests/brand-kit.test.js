@@ -0,0 +1,120 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+// Every image is a 400x100 PNG logo; resized copies are stub files named
+// after their size
+jest.mock('sharp', () => jest.fn(() => {
+  let size = null;
+  const pipeline = {
+    metadata: async () => ({ format: 'png', width: 400, height: 100 }),
+    rotate: () => pipeline,
+    resize: (width) => { size = width; return pipeline; },
+    png: () => pipeline,
+    toBuffer: async () => ({ data: Buffer.from('logo'), info: { width: 400, height: 100, format: 'png' } }),
+    toFile: async (file) => { require('fs').writeFileSync(file, `icon ${size}`); }
+  };
+  return pipeline;
+}));
+
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { setStorage, LocalStorage } = require('../utils/storage');
+
+describe('Brand kit', () => {
+  const provider = getProvider();
+  let uploadsDir;
+  let projectId;
+  let contentPrompt;
+
+  beforeAll(async () => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    setStorage(new LocalStorage({ dir: uploadsDir }));
+    const upload = await request(app).post('/upload').attach('images', path.join(__dirname, 'fixtures', 'test.png'), 'logo.png');
+    expect(upload.statusCode).toBe(200);
+
+    provider.reset();
+    const res = await request(app)
+      .post('/generate')
+      .send({
+        biz: 'Bright Lane',
+        niche: 'Bakery',
+        brandKit: {
+          logo: upload.body.urls[0],
+          // Too light to read as text on white
+          colors: { primary: '#FFD166', accent: '#06D6A0' },
+          fonts: { heading: 'Playfair Display' },
+          voice: 'Warm and plain-spoken, never salesy.'
+        }
+      });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+    contentPrompt = provider.calls.find(call => call.fixture === 'site-content').messages[0].content;
+  });
+
+  afterAll(() => {
+    setStorage(null);
+    for (const dir of [uploadsDir, process.env.IMAGE_LIBRARY_DIR, process.env.PROJECTS_DIR]) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  const site = file => request(app).get(`/api/projects/${projectId}/site/${file}`);
+
+  it('gives the model the brand guidelines and keeps the exact colours', async () => {
+    expect(contentPrompt).toContain(`The business has brand guidelines. Follow them:
+
+- Use exactly these colors in "colors": primary #FFD166, accent #06D6A0.
+- The site is set in Playfair Display for headings.
+- Write all of the copy in the brand's voice: Warm and plain-spoken, never salesy.`);
+
+    const project = (await request(app).get(`/api/projects/${projectId}`)).body;
+    expect(project.content.colors).toEqual({ primary: '#FFD166', secondary: '#1E40AF', accent: '#06D6A0' });
+
+    // The failing contrast is reported rather than fixed by changing the colour
+    expect(project.colorOverrides['primary-color']).toBeUndefined();
+    expect(project.accessibility.contrast).toContainEqual(expect.objectContaining({ foreground: 'primary-color', background: 'background', passed: false }));
+  });
+
+  it('shows the logo in the nav, with favicons made from it, and the brand fonts', async () => {
+    const project = (await request(app).get(`/api/projects/${projectId}`)).body;
+    const logo = project.brand.logo;
+    expect(logo).toMatch(/^images\/\d+-logo\.png$/);
+    expect(project.files).toEqual(expect.arrayContaining([logo, 'favicon-32.png', 'apple-touch-icon.png']));
+    expect((await site('favicon-32.png')).body.toString()).toBe('icon 32');
+
+    const home = (await site('index.html')).text;
+    expect(home).toContain(`<a href="index.html" class="logo"><img src="${logo}" alt="Bright Lane"></a>`);
+    expect(home).toContain('<link rel="icon" href="favicon-32.png" type="image/png" sizes="32x32">');
+    expect(home).toContain('<link rel="apple-touch-icon" href="apple-touch-icon.png" type="image/png" sizes="180x180">');
+    expect(home).toContain('<link href="https://fonts.googleapis.com/css2?family&#x3D;Playfair+Display:wght@400;600;700&amp;display&#x3D;swap" rel="stylesheet">');
+    expect(home).toContain("--heading-font: 'Playfair Display', sans-serif;");
+    // The body font stays the theme's, loaded from its stylesheet
+    expect(home).toContain("--body-font: 'Inter', sans-serif;");
+    expect(home).toContain('<link href="https://fonts.googleapis.com/css2?family&#x3D;Inter:');
+    expect(home).toContain('--primary-color: #FFD166;');
+  });
+
+  it('keeps the brand colours and voice when a section is regenerated', async () => {
+    provider.reset();
+    provider.enqueue(JSON.stringify({ value: { primary: '#000000', secondary: '#111111', accent: '#222222' } }));
+    const res = await request(app).post(`/api/projects/${projectId}/sections`).send({ section: 'colors' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.after).toEqual({ primary: '#FFD166', secondary: '#111111', accent: '#06D6A0' });
+    expect(provider.calls[0].messages[0].content).toContain("Write all of the copy in the brand's voice");
+  });
+
+  it('rejects colours that are not hex codes and font names that are not plain', async () => {
+    const colors = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Design', brandKit: { colors: { primary: 'red' } } });
+    expect(colors.statusCode).toBe(400);
+
+    const fonts = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Design', brandKit: { fonts: { heading: "Arial'; }" } } });
+    expect(fonts.statusCode).toBe(400);
+    expect(fonts.body.details).toMatch(/must be a font family name/);
+  });
+});
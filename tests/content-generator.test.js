@@ -0,0 +1,61 @@
+const { MockProvider } = require('../utils/providers');
+const { parseModelJSON, generateStructuredContent } = require('../utils/content-generator');
+const { validateSiteContent } = require('../middleware/validation');
+
+describe('Model content validation', () => {
+  const minimal = {
+    branding: { tagline: 'Fresh bread daily' },
+    landing: {
+      hero: { headline: 'Hello' },
+      services: [{ title: 'Baking' }]
+    },
+    about: { story: 'Since 1990.' },
+    contact: {}
+  };
+
+  it('strips markdown code fences and surrounding prose', () => {
+    expect(parseModelJSON('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(parseModelJSON('Sure! Here it is: {"a": 2} Enjoy.')).toEqual({ a: 2 });
+    expect(() => parseModelJSON('no json here')).toThrow();
+  });
+
+  it('fills defaults for optional fields', () => {
+    const { error, value } = validateSiteContent(minimal);
+    expect(error).toBeUndefined();
+    expect(value.colors.primary).toBe('#2563EB');
+    expect(value.landing.services[0].icon).toBe('fas fa-star');
+    expect(value.landing.stats).toEqual([]);
+    expect(value.about.team).toEqual([]);
+    expect(value.contact.headline).toBe('Contact Us');
+  });
+
+  it('asks the model to repair invalid output', async () => {
+    const provider = new MockProvider().enqueue(
+      '{"branding": {}}',
+      '```json\n' + JSON.stringify(minimal) + '\n```'
+    );
+
+    const content = await generateStructuredContent({
+      provider,
+      messages: [{ role: 'user', content: 'make a site' }],
+      validate: validateSiteContent
+    });
+
+    expect(content.branding.tagline).toBe('Fresh bread daily');
+    expect(provider.calls).toHaveLength(2);
+    const repairRequest = provider.calls[1].messages[2].content;
+    expect(repairRequest).toMatch(/"branding.tagline" is required/);
+  });
+
+  it('gives up after the repair budget is spent', async () => {
+    const provider = new MockProvider().enqueue('nope', 'still nope', 'never');
+
+    await expect(generateStructuredContent({
+      provider,
+      messages: [{ role: 'user', content: 'make a site' }],
+      validate: validateSiteContent,
+      maxRepairs: 1
+    })).rejects.toThrow(/failed validation after 2 attempts/);
+    expect(provider.calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { safeUrl, cssValue, plainText } = require('../utils/escape');
+const { renderPages } = require('../utils/site-generator');
+const { templateEngine } = require('../utils/template-engine');
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '"><img src=x onerror=alert(1)>',
+  "' onmouseover='alert(1)",
+  'javascript:alert(1)',
+  'red;}</style><script>alert(1)</script>',
+  "red; background: url('javascript:alert(1)')"
+];
+
+// Every string in a fixture replaced by the payload
+function poison(value, payload) {
+  if (typeof value === 'string') return payload;
+  if (Array.isArray(value)) return value.map(item => poison(item, payload));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, poison(item, payload)]));
+  }
+  return value;
+}
+
+function expectInert(page) {
+  // JSON-LD holds the payload as script data; it is inert as long as it
+  // cannot close the element
+  const jsonLd = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/g;
+  for (const [, data] of page.matchAll(jsonLd)) {
+    expect(data).not.toMatch(/</);
+    expect(() => JSON.parse(data)).not.toThrow();
+  }
+  const html = page.replace(jsonLd, '');
+
+  expect(html).not.toMatch(/<script>alert/);
+  expect(html).not.toMatch(/<img src=x/);
+  expect(html).not.toMatch(/\sonmouseover='alert/);
+  expect(html).not.toMatch(/(href|src)="javascript:/i);
+
+  // Nothing from the payloads may survive into CSS, where entities in a
+  // style="" attribute are decoded before the CSS is parsed
+  const css = [
+    ...[...html.matchAll(/<style>([\s\S]*?)<\/style>/g)].map(match => match[1]),
+    ...[...html.matchAll(/style="([^"]*)"/g)].map(match => match[1].replace(/&#x27;/g, "'"))
+  ].join('\n');
+  expect(css).not.toMatch(/url\(\s*['"]?\s*javascript:|alert\(|<\/style/i);
+}
+
+describe('Escaping helpers', () => {
+  it('safeUrl keeps safe URLs and neutralises script schemes', () => {
+    expect(safeUrl('about.html')).toBe('about.html');
+    expect(safeUrl('https://example.com/?q=a b')).toBe('https://example.com/?q=a%20b');
+    expect(safeUrl("x.png') no-repeat")).toBe('x.png%27%29%20no-repeat');
+    expect(safeUrl('javascript:alert(1)')).toBe('#');
+    expect(safeUrl(' java\tscript:alert(1)')).toBe('#');
+    expect(safeUrl('data:text/html,<script>')).toBe('#');
+  });
+
+  it('cssValue keeps plain values and drops anything that could break out', () => {
+    expect(cssValue('#2563EB')).toBe('#2563EB');
+    expect(cssValue('0 5px 15px rgba(0,0,0,0.1)')).toBe('0 5px 15px rgba(0,0,0,0.1)');
+    expect(cssValue('red; background: blue')).toBe('');
+    expect(cssValue('red}</style><script>')).toBe('');
+    expect(cssValue('url(https://evil.example/x)')).toBe('');
+  });
+
+  it('plainText strips markup without double-encoding', () => {
+    expect(plainText('Fish & <b>Chips</b>')).toBe('Fish & Chips');
+    expect(plainText('<script>alert(1)</script>Cafe')).toBe('Cafe');
+  });
+});
+
+describe('XSS payloads in generated sites', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it.each(PAYLOADS)('multi-page templates render %s inert', (payload) => {
+    const content = poison(require('../fixtures/llm/site-content.json'), payload);
+    for (const html of Object.values(renderPages(payload, content))) {
+      expectInert(html);
+    }
+  });
+
+  it.each(PAYLOADS)('basic template renders %s inert', (payload) => {
+    const content = poison(require('../fixtures/llm/basic-content.json'), payload);
+    expectInert(templateEngine.render('basic.html', {
+      biz: payload,
+      niche: payload,
+      themeClass: payload,
+      heroImageUrl: payload,
+      content,
+      styling: content.global.styling,
+      animations: content.global.animations
+    }));
+  });
+
+  it('complete template renders payloads in the business name inert', async () => {
+    const res = await request(app)
+      .post('/test-generate')
+      .send({ biz: 'Cafe "><img src=x onerror=alert(1)>', niche: '<script>alert(1)</script>Food' });
+    expect(res.statusCode).toBe(200);
+
+    const page = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expectInert(page.text);
+    expect(page.text).toContain('Cafe &quot;&gt;');
+  });
+
+  it('rejects names that are only markup', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: '<script>alert(1)</script>', niche: 'Food' });
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PUBLIC_URL = 'https://sites.example.com/';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { submissionsToCsv } = require('../utils/forms');
+
+describe('Form submissions', () => {
+  let siteId;
+  let token;
+
+  beforeAll(async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools', siteUrl: 'https://acme.example/' });
+    siteId = res.headers['x-project-id'];
+    token = res.headers['x-forms-token'];
+  });
+
+  const submissions = () => request(app).get(`/api/forms/${siteId}/submissions`).set('Authorization', `Bearer ${token}`);
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('points generated contact forms at the site\'s endpoint', async () => {
+    const page = await request(app).get(`/api/projects/${siteId}/site/contact.html`);
+    expect(page.text).toContain(`<form action="https://sites.example.com/api/forms/${siteId}" method="POST"`);
+    expect(page.text).toContain('name="_honey"');
+
+    const basic = await request(app).post('/generate/basic').send({ biz: 'Acme', niche: 'Tools' });
+    const basicPage = await request(app).get(`/api/projects/${basic.headers['x-project-id']}/site/index.html`);
+    expect(basicPage.text).toContain(`action="https://sites.example.com/api/forms/${basic.headers['x-project-id']}"`);
+  });
+
+  it('stores valid submissions and lists them', async () => {
+    const res = await request(app)
+      .post(`/api/forms/${siteId}`)
+      .set('Origin', 'https://acme.example')
+      .set('Referer', 'https://acme.example/contact.html')
+      .type('form')
+      .send({ name: 'Ada', email: 'ada@example.com', message: 'Hello there' });
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['access-control-allow-origin']).toBe('*');
+
+    const list = await submissions();
+    expect(list.body.submissions).toHaveLength(1);
+    expect(list.body.submissions[0]).toMatchObject({
+      id: res.body.id,
+      page: '/contact.html',
+      fields: { name: 'Ada', email: 'ada@example.com', message: 'Hello there' }
+    });
+
+    // The site archive never includes submissions
+    const project = await request(app).get(`/api/projects/${siteId}`);
+    expect(project.body.files).not.toContain('submissions.jsonl');
+  });
+
+  it('sends visitors without scripts back to the page', async () => {
+    const res = await request(app)
+      .post(`/api/forms/${siteId}`)
+      .set('Accept', 'text/html')
+      .set('Referer', 'https://acme.example/contact.html')
+      .type('form')
+      .send({ name: 'Bob', message: 'No JS here' });
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.location).toBe('https://acme.example/contact.html');
+
+    // The site's preview on this server counts as the site
+    const preview = `https://sites.example.com/api/projects/${siteId}/site/contact.html`;
+    const fromPreview = await request(app)
+      .post(`/api/forms/${siteId}`)
+      .set('Accept', 'text/html')
+      .set('Referer', preview)
+      .type('form')
+      .send({ name: 'Bob', message: 'From the preview' });
+    expect(fromPreview.headers.location).toBe(preview);
+  });
+
+  it('never redirects to or records pages that are not the site\'s', async () => {
+    for (const referer of ['https://evil.example/phish.html', 'https://sites.example.com/api/projects/other/site/index.html']) {
+      const res = await request(app)
+        .post(`/api/forms/${siteId}`)
+        .set('Accept', 'text/html')
+        .set('Referer', referer)
+        .type('form')
+        .send({ name: 'Eve', message: referer });
+      expect(res.statusCode).toBe(201);
+      expect(res.headers.location).toBeUndefined();
+    }
+
+    const list = await submissions();
+    const fromElsewhere = list.body.submissions.filter(submission => submission.fields.name === 'Eve');
+    expect(fromElsewhere.map(submission => submission.page)).toEqual([null, null]);
+  });
+
+  it('rejects invalid submissions and unknown sites', async () => {
+    const badEmail = await request(app).post(`/api/forms/${siteId}`).type('form').send({ email: 'not-an-email' });
+    expect(badEmail.statusCode).toBe(400);
+
+    const empty = await request(app).post(`/api/forms/${siteId}`).type('form').send({ name: '' });
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.details).toMatch(/at least one filled-in field/);
+
+    const nested = await request(app).post(`/api/forms/${siteId}`).type('form').send('name[first]=Ada');
+    expect(nested.statusCode).toBe(400);
+
+    const missing = await request(app)
+      .post('/api/forms/00000000-0000-0000-0000-000000000000')
+      .type('form')
+      .send({ name: 'Ada' });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('accepts but drops submissions that fill in the honeypot', async () => {
+    const before = await submissions();
+    const res = await request(app)
+      .post(`/api/forms/${siteId}`)
+      .type('form')
+      .send({ name: 'Bot', message: 'Buy now', _honey: 'gotcha' });
+    expect(res.statusCode).toBe(201);
+
+    const after = await submissions();
+    expect(after.body.submissions).toHaveLength(before.body.submissions.length);
+  });
+
+  it('exports submissions as CSV', async () => {
+    const res = await request(app).get(`/api/forms/${siteId}/submissions.csv`).query({ token });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toContain('submissions.csv');
+    expect(res.text.split('\r\n')[0]).toBe('id,submittedAt,page,name,email,message');
+  });
+
+  it('only lets the holder of the forms token read submissions', async () => {
+    expect(token).toMatch(/^[0-9a-f-]{36}$/);
+    const page = await request(app).get(`/api/projects/${siteId}/site/contact.html`);
+    expect(page.text).not.toContain(token);
+    const project = await request(app).get(`/api/projects/${siteId}`);
+    expect(project.body.formsToken).toBeUndefined();
+
+    const anonymous = await request(app).get(`/api/forms/${siteId}/submissions`);
+    expect(anonymous.statusCode).toBe(401);
+    const wrong = await request(app).get(`/api/forms/${siteId}/submissions`).set('Authorization', 'Bearer not-the-token');
+    expect(wrong.statusCode).toBe(401);
+    const csv = await request(app).get(`/api/forms/${siteId}/submissions.csv`).query({ token: siteId });
+    expect(csv.statusCode).toBe(401);
+  });
+
+  it('quotes CSV cells and defuses spreadsheet formulas', () => {
+    const csv = submissionsToCsv([
+      { id: '1', submittedAt: 't', page: null, fields: { name: 'Smith, "Jo"', message: '=HYPERLINK("x")' } }
+    ]);
+    expect(csv).toBe('id,submittedAt,page,name,message\r\n1,t,,"Smith, ""Jo""","\'=HYPERLINK(""x"")"\r\n');
+  });
+});
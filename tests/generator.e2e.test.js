@@ -1,7 +1,12 @@
 const request = require('supertest');
 const express = require('express');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
 const app = require('../app');
 
 describe('GPT Site Generator End-to-End', () => {
@@ -33,5 +38,45 @@ describe('GPT Site Generator End-to-End', () => {
     expect(res.statusCode).toBe(400);
   });
 
+  it('POST /generate should build a zip with the mock provider', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Mock Co', niche: 'Testing' })
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/zip/);
+    expect(res.body.slice(0, 2).toString()).toBe('PK');
+  });
+
+  it('POST /generate/basic should build a zip with the mock provider', async () => {
+    const res = await request(app)
+      .post('/generate/basic')
+      .send({ biz: 'Mock Co', niche: 'Testing', theme: 'dark' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/zip/);
+
+    const page = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expect(page.text).toContain('<body class="theme-dark dark-theme">');
+    expect(page.text).not.toMatch(/{{|\${/);
+  });
+
+  it('POST /test-generate should render services and stats loops, escaping once', async () => {
+    const res = await request(app)
+      .post('/test-generate')
+      .send({ biz: 'Fish & Chips', niche: 'Food', websiteType: 'restaurant' });
+    expect(res.statusCode).toBe(200);
+
+    const page = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expect(page.text.match(/class="service-card"/g)).toHaveLength(3);
+    expect(page.text.match(/class="stat-item"/g)).toHaveLength(4);
+    expect(page.text).toContain('Fish &amp; Chips');
+    expect(page.text).not.toContain('&amp;amp;');
+  });
+
   // You can add more tests for /generate, error cases, etc.
 });
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+// Without sharp the placeholder generator keeps its SVG, which the tests can read
+jest.mock('sharp', () => {
+  throw new Error('sharp is not installed');
+});
+
+const app = require('../app');
+const { setStorage, LocalStorage } = require('../utils/storage');
+const { setImageGenerator, OpenAIImageGenerator, PlaceholderImageGenerator } = require('../utils/image-generators');
+const { loadSharp } = require('../utils/image-pipeline');
+const logger = require('../utils/logger');
+
+// The OpenAI images API, answering with as many images as asked for
+function fakeImagesApi() {
+  const requests = [];
+  const api = express();
+  api.use(express.json());
+  api.post('/v1/images/generations', (req, res) => {
+    requests.push({ body: req.body, authorization: req.headers.authorization });
+    res.json({
+      data: Array.from({ length: req.body.n }, (_, index) => ({
+        b64_json: Buffer.from(`png ${requests.length}.${index}`).toString('base64'),
+        revised_prompt: req.body.model === 'dall-e-3' ? `${req.body.prompt}, in soft light` : undefined
+      }))
+    });
+  });
+  return { api, requests };
+}
+
+describe('Image generation', () => {
+  let uploadsDir;
+
+  beforeAll(() => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    setStorage(new LocalStorage({ dir: uploadsDir }));
+  });
+
+  afterAll(() => {
+    setStorage(null);
+    setImageGenerator(null);
+    for (const dir of [uploadsDir, process.env.IMAGE_LIBRARY_DIR, process.env.PROJECTS_DIR]) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('asks the OpenAI images API for each image with the chosen options', async () => {
+    const { api, requests } = fakeImagesApi();
+    const server = api.listen(0);
+    const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    try {
+      setImageGenerator(new OpenAIImageGenerator({ apiKey: 'key', baseURL }));
+      const res = await request(app)
+        .post('/api/images/generate-image')
+        .send({ prompt: 'A bakery counter at dawn', size: '1792x1024', quality: 'hd', style: 'natural', n: 2 });
+      expect(res.statusCode).toBe(200);
+
+      // DALL-E 3 makes one image per request
+      expect(requests).toHaveLength(2);
+      expect(requests[0]).toEqual({
+        body: { model: 'dall-e-3', prompt: 'A bakery counter at dawn', n: 1, size: '1792x1024', quality: 'hd', style: 'natural', response_format: 'b64_json' },
+        authorization: 'Bearer key'
+      });
+      expect(res.body.images).toHaveLength(2);
+      expect(res.body.image).toEqual(res.body.images[0]);
+      expect(res.body.image).toMatchObject({
+        filename: 'a-bakery-counter-at-dawn-1.png',
+        source: 'dalle',
+        prompt: 'A bakery counter at dawn, in soft light'
+      });
+      expect(fs.readFileSync(path.join(uploadsDir, res.body.images[1].key), 'utf8')).toBe('png 2.0');
+
+      // DALL-E 2 takes the count in one request and no quality or style
+      setImageGenerator(new OpenAIImageGenerator({ apiKey: 'key', baseURL, model: 'dall-e-2' }));
+      await request(app).post('/api/images/generate-image').send({ prompt: 'Bread', size: '512x512', n: 3 }).expect(200);
+      expect(requests[2].body).toEqual({ model: 'dall-e-2', prompt: 'Bread', n: 3, size: '512x512', response_format: 'b64_json' });
+
+      // Sizes a model doesn't make are fitted to the nearest one it does
+      await request(app).post('/api/images/generate-image').send({ prompt: 'Bread', size: '1792x1024' }).expect(200);
+      expect(requests[3].body.size).toBe('1024x1024');
+      setImageGenerator(new OpenAIImageGenerator({ apiKey: 'key', baseURL }));
+      await request(app).post('/api/images/generate-image').send({ prompt: 'Bread', size: '256x256' }).expect(200);
+      expect(requests[4].body.size).toBe('1024x1024');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects options the models do not offer', async () => {
+    setImageGenerator(new PlaceholderImageGenerator());
+    const res = await request(app).post('/api/images/generate-image').send({ prompt: 'Bread', size: '800x600' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toMatch(/"size" must be one of/);
+
+    const batch = await request(app).post('/api/images/generate-batch').send({ prompts: [{ prompt: 'Bread' }], projectId: '6f1c2d4e-8a9b-4c3d-9e2f-1a2b3c4d5e6f' });
+    expect(batch.statusCode).toBe(400);
+  });
+
+  it('answers with an error when the generator cannot be set up', async () => {
+    const apiKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    setImageGenerator(null);
+    try {
+      const res = await request(app).post('/api/images/generate-image').send({ prompt: 'Bread' });
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'Failed to generate image', details: 'OpenAI API key not set' });
+
+      const batch = await request(app).post('/api/images/generate-batch').send({ prompts: [{ prompt: 'Bread' }] });
+      expect(batch.statusCode).toBe(500);
+      expect(batch.body.error).toBe('Failed to generate images');
+    } finally {
+      if (apiKey !== undefined) process.env.OPENAI_API_KEY = apiKey;
+    }
+  });
+
+  it('derives prompts from a project and generates them a few at a time', async () => {
+    const generated = await request(app).post('/generate').send({ biz: 'Crumb', niche: 'Bakery' });
+    const projectId = generated.headers['x-project-id'];
+
+    let running = 0;
+    let mostRunning = 0;
+    const calls = [];
+    const placeholder = new PlaceholderImageGenerator();
+    setImageGenerator({
+      name: 'counting',
+      source: 'placeholder',
+      generate: async (options) => {
+        calls.push(options);
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        if (options.prompt.includes('Implementation')) {
+          throw new Error('content policy violation');
+        }
+        return placeholder.generate(options);
+      }
+    });
+
+    const res = await request(app).post('/api/images/generate-batch').send({ projectId, style: 'natural' });
+    expect(res.statusCode).toBe(200);
+    expect(mostRunning).toBe(2);
+    expect(res.body.results.map(result => result.slot)).toEqual(['hero', 'services.0', 'services.1', 'services.2']);
+    expect(calls[0]).toEqual({
+      prompt: expect.stringContaining('website banner for "Crumb", a Bakery business. It should convey "Welcome to Crumb"'),
+      size: '1792x1024',
+      quality: undefined,
+      style: 'natural',
+      n: 1
+    });
+    expect(calls[1].prompt).toContain('illustrating its service "Consultation"');
+
+    const [hero, consultation, implementation] = res.body.results;
+    expect(hero.error).toBeUndefined();
+    // Stored as generated, which without sharp is marked on the record
+    expect(hero.images[0]).toMatchObject({ source: 'placeholder', format: 'svg', metadataStripped: false });
+    expect(fs.readFileSync(path.join(uploadsDir, consultation.images[0].key), 'utf8')).toContain('Consultation');
+    expect(implementation).toMatchObject({ images: [], error: 'content policy violation' });
+
+    const missing = await request(app).post('/api/images/generate-batch').send({ projectId: '6f1c2d4e-8a9b-4c3d-9e2f-1a2b3c4d5e6f' });
+    expect(missing.statusCode).toBe(404);
+
+    // The missing sharp was reported with the first image, not every one
+    const warn = jest.spyOn(logger, 'warn');
+    expect(loadSharp()).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
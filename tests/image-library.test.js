@@ -0,0 +1,79 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+const app = require('../app');
+const { setStorage, LocalStorage } = require('../utils/storage');
+
+const fixture = path.join(__dirname, 'fixtures', 'test.png');
+
+describe('Image library API', () => {
+  let uploadsDir;
+  let storage;
+
+  beforeAll(() => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    storage = new LocalStorage({ dir: uploadsDir });
+    setStorage(storage);
+  });
+
+  afterAll(() => {
+    setStorage(null);
+    for (const dir of [uploadsDir, process.env.IMAGE_LIBRARY_DIR, process.env.PROJECTS_DIR]) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('records uploads and lets them be described, searched and deleted', async () => {
+    const upload = await request(app)
+      .post('/api/images/upload')
+      .attach('images', fixture, 'harbour.png')
+      .attach('images', fixture, 'team-photo.png');
+    expect(upload.statusCode).toBe(200);
+    const [harbour, team] = upload.body.images;
+    expect(harbour).toMatchObject({ filename: 'harbour.png', source: 'upload', alt: '', tags: [] });
+    expect(harbour.id).toMatch(/^[0-9a-f-]{36}$/);
+
+    const all = await request(app).get('/api/images');
+    expect(all.body.total).toBe(2);
+    expect(all.body.images.map(image => image.id).sort()).toEqual([harbour.id, team.id].sort());
+
+    const patched = await request(app)
+      .patch(`/api/images/${harbour.id}`)
+      .send({ alt: 'Boats in the harbour at dusk', tags: ['Waterfront ', 'evening'] });
+    expect(patched.statusCode).toBe(200);
+    expect(patched.body).toMatchObject({ alt: 'Boats in the harbour at dusk', tags: ['waterfront', 'evening'] });
+
+    const byText = await request(app).get('/api/images').query({ q: 'boats dusk' });
+    expect(byText.body.images.map(image => image.id)).toEqual([harbour.id]);
+    const byTag = await request(app).get('/api/images').query({ tag: 'Waterfront' });
+    expect(byTag.body.images.map(image => image.id)).toEqual([harbour.id]);
+    expect(byTag.body.tags).toEqual([{ name: 'evening', count: 1 }, { name: 'waterfront', count: 1 }]);
+    const generated = await request(app).get('/api/images').query({ source: 'dalle' });
+    expect(generated.body.total).toBe(0);
+
+    const deleted = await request(app).delete(`/api/images/${team.id}`);
+    expect(deleted.statusCode).toBe(204);
+    await expect(storage.get(team.key)).rejects.toMatchObject({ status: 404 });
+    expect((await request(app).get(`/api/images/${team.id}`)).statusCode).toBe(404);
+    expect((await request(app).get('/api/images')).body.total).toBe(1);
+  });
+
+  it('rejects bad updates and queries', async () => {
+    const upload = await request(app).post('/api/images/upload').attach('images', fixture, 'logo.png');
+    const { id } = upload.body.images[0];
+
+    const empty = await request(app).patch(`/api/images/${id}`).send({});
+    expect(empty.statusCode).toBe(400);
+    const badTag = await request(app).patch(`/api/images/${id}`).send({ tags: ['<script>'] });
+    expect(badTag.statusCode).toBe(400);
+    const missing = await request(app).patch('/api/images/00000000-0000-0000-0000-000000000000').send({ alt: 'x' });
+    expect(missing.statusCode).toBe(404);
+    const badSource = await request(app).get('/api/images').query({ source: 'ftp' });
+    expect(badSource.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { imageLibrary } = require('../utils/image-library');
+
+describe('Image placement', () => {
+  const provider = getProvider();
+  const images = ['/uploads/1712345678-workshop.jpg', '/uploads/1712345679-bench.jpg', '/uploads/1712345680-stairs.jpg'];
+  let projectId;
+  let placementPrompt;
+
+  beforeAll(async () => {
+    imageLibrary.add({ key: '1712345678-workshop.jpg', url: images[0], filename: 'workshop.jpg', alt: 'Our workshop at dawn', tags: ['workshop'] });
+    provider.reset();
+    const res = await request(app)
+      .post('/generate')
+      .send({
+        biz: 'Hillside Joinery',
+        niche: 'Carpentry',
+        images,
+        imagePlacements: [{ slot: 'services.2', image: images[2] }]
+      });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+    placementPrompt = provider.calls.find(call => call.fixture === 'image-placement').messages[0].content;
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.IMAGE_LIBRARY_DIR, { recursive: true, force: true });
+  });
+
+  const site = file => request(app).get(`/api/projects/${projectId}/site/${file}`);
+
+  it('keeps explicit placements and lets the model place the rest', async () => {
+    expect(placementPrompt).toContain('- services.2: card for the service "Ongoing Support"');
+    expect(placementPrompt).toContain('1. workshop (alt text: "Our workshop at dawn"; tags: workshop)');
+    expect(placementPrompt).toContain('3. stairs (already placed in services.2)');
+
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    expect(project.body.imagePlacements).toEqual([
+      // Alt text from the image library beats the model's
+      { slot: 'hero', image: images[0], src: 'images/1712345678-workshop.jpg', alt: 'Our workshop at dawn' },
+      { slot: 'about', image: images[1], src: 'images/1712345679-bench.jpg', alt: 'Inside the Hillside Joinery studio' },
+      { slot: 'services.2', image: images[2], src: 'images/1712345680-stairs.jpg', alt: 'A consultation in progress' }
+    ]);
+    expect(project.body.content.landing.services[2]).toMatchObject({ image: 'images/1712345680-stairs.jpg', imageAlt: 'A consultation in progress' });
+    expect(project.body.accessibility.issues).toEqual([]);
+  });
+
+  it('renders placed images with their alt text', async () => {
+    const home = await site('index.html');
+    expect(home.text).toContain('<section class="hero hero-with-image" data-section="landing.hero">');
+    expect(home.text).toContain('<img src="images/1712345678-workshop.jpg" alt="Our workshop at dawn" class="hero-image">');
+    expect(home.text).toContain('<img src="images/1712345680-stairs.jpg" alt="A consultation in progress" class="card-image" loading="lazy">');
+    expect(home.text.match(/class="card-image"/g)).toHaveLength(1);
+
+    const about = await site('about.html');
+    expect(about.text).toContain('<img src="images/1712345679-bench.jpg" alt="Inside the Hillside Joinery studio">');
+  });
+
+  it('keeps images in place when a section is regenerated', async () => {
+    provider.reset();
+    provider.enqueue(JSON.stringify({
+      value: ['Kitchens', 'Staircases', 'Repairs'].map(title => ({ title, description: `${title} made to measure`, icon: 'fas fa-hammer' }))
+    }));
+    const res = await request(app).post(`/api/projects/${projectId}/sections`).send({ section: 'landing.services' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.after[2]).toMatchObject({ title: 'Repairs', image: 'images/1712345680-stairs.jpg' });
+  });
+
+  it('rejects placements of images that were not sent', async () => {
+    const stray = await request(app).post('/generate').send({
+      biz: 'Hillside Joinery', niche: 'Carpentry', images: [images[0]], imagePlacements: [{ slot: 'hero', image: images[1] }]
+    });
+    expect(stray.statusCode).toBe(400);
+    expect(stray.body.details).toContain('is not one of "images"');
+
+    const badSlot = await request(app).post('/generate').send({
+      biz: 'Hillside Joinery', niche: 'Carpentry', images, imagePlacements: [{ slot: 'footer', image: images[0] }]
+    });
+    expect(badSlot.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+// sharp's native build isn't needed to check which files get written: each
+// test image (a path, or a buffer holding its name) reports the metadata
+// below and "encodes" to a stub file; anything else isn't an image
+jest.mock('sharp', () => {
+  const mockImages = {
+    'harbour.jpg': { format: 'jpeg', width: 1000, height: 750 },
+    'logo.png': { format: 'png', width: 300, height: 100, hasAlpha: true },
+    'icon.svg': { format: 'svg', width: 64, height: 64 }
+  };
+  return jest.fn((source) => {
+    const metadata = mockImages[Object.keys(mockImages).find(name => String(source).endsWith(name))];
+    if (!metadata) {
+      return { metadata: async () => { throw new Error('Input buffer contains unsupported image format'); } };
+    }
+    let width = metadata.width;
+    const pipeline = {
+      metadata: async () => metadata,
+      rotate: () => pipeline,
+      resize: (options) => { width = Math.min(options.width, metadata.width); return pipeline; },
+      avif: () => pipeline,
+      webp: () => pipeline,
+      jpeg: () => pipeline,
+      png: () => pipeline,
+      toFile: async (file) => {
+        require('fs').writeFileSync(file, 'encoded');
+        return { width, height: Math.round(metadata.height * width / metadata.width) };
+      },
+      toBuffer: async () => ({ data: Buffer.from('no metadata'), info: { width: metadata.width, height: metadata.height, format: metadata.format } })
+    };
+    return pipeline;
+  });
+});
+
+const app = require('../app');
+const { writeResponsiveImages } = require('../utils/image-pipeline');
+const { templateEngine } = require('../utils/template-engine');
+const { setStorage, LocalStorage } = require('../utils/storage');
+
+describe('Image pipeline', () => {
+  let siteDir;
+
+  beforeEach(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    fs.mkdirSync(path.join(siteDir, 'images'));
+    for (const file of ['1712345678-harbour.jpg', 'logo.png', 'icon.svg']) {
+      fs.writeFileSync(path.join(siteDir, 'images', file), 'image');
+    }
+  });
+
+  afterEach(() => fs.rmSync(siteDir, { recursive: true, force: true }));
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.IMAGE_LIBRARY_DIR, { recursive: true, force: true });
+  });
+
+  it('writes each width in AVIF and WebP plus a fallback', async () => {
+    const images = await writeResponsiveImages(siteDir, [
+      'images/1712345678-harbour.jpg', 'images/logo.png', 'images/icon.svg', 'images/missing.jpg', 'https://cdn.example/a.jpg'
+    ]);
+
+    expect(images).toEqual({
+      'images/1712345678-harbour.jpg': {
+        src: 'images/responsive/harbour-1000.jpg',
+        width: 1000,
+        height: 750,
+        sources: [
+          { type: 'image/avif', srcset: 'images/responsive/harbour-400.avif 400w, images/responsive/harbour-800.avif 800w, images/responsive/harbour-1000.avif 1000w' },
+          { type: 'image/webp', srcset: 'images/responsive/harbour-400.webp 400w, images/responsive/harbour-800.webp 800w, images/responsive/harbour-1000.webp 1000w' }
+        ]
+      },
+      // Smaller than every standard width, and transparent
+      'images/logo.png': {
+        src: 'images/responsive/logo-300.png',
+        width: 300,
+        height: 100,
+        sources: [
+          { type: 'image/avif', srcset: 'images/responsive/logo-300.avif 300w' },
+          { type: 'image/webp', srcset: 'images/responsive/logo-300.webp 300w' }
+        ]
+      }
+    });
+    expect(fs.readdirSync(path.join(siteDir, 'images/responsive'))).toHaveLength(10);
+  });
+
+  it('renders responsive images as <picture> with their dimensions', () => {
+    const picture = templateEngine.hbs.compile('{{> picture src=image alt="Harbour at dusk" sizes="50vw" lazy=true}}');
+    const responsiveImages = {
+      'images/harbour.jpg': {
+        src: 'images/responsive/harbour-1000.jpg',
+        width: 1000,
+        height: 750,
+        sources: [{ type: 'image/webp', srcset: 'images/responsive/harbour-400.webp 400w' }]
+      }
+    };
+
+    const html = picture({ image: 'images/harbour.jpg', responsiveImages });
+    expect(html).toContain('<source type="image/webp" srcset="images/responsive/harbour-400.webp 400w" sizes="50vw">');
+    expect(html).toContain('<img src="images/responsive/harbour-1000.jpg" width="1000" height="750" alt="Harbour at dusk" loading="lazy">');
+
+    const plain = picture({ image: 'https://cdn.example/a.jpg', responsiveImages });
+    expect(plain.trim()).toBe('<img src="https://cdn.example/a.jpg" alt="Harbour at dusk" loading="lazy">');
+  });
+
+  it('strips metadata from uploads and reports their dimensions', async () => {
+    const storage = new LocalStorage({ dir: path.join(siteDir, 'uploads') });
+    setStorage(storage);
+    const res = await request(app)
+      .post('/upload')
+      .attach('images', Buffer.from('exif and pixels of harbour.jpg'), 'harbour.jpg');
+    setStorage(null);
+    expect(res.statusCode).toBe(200);
+    const [image] = res.body.images;
+    expect(image).toMatchObject({ width: 1000, height: 750, format: 'jpeg', metadataStripped: true });
+    expect(image.url).toBe(`/uploads/${image.key}`);
+    expect(res.body.urls).toEqual([image.url]);
+    expect((await storage.get(image.key)).toString()).toBe('no metadata');
+  });
+
+  it('refuses uploads that are not images instead of storing them', async () => {
+    const storage = new LocalStorage({ dir: path.join(siteDir, 'uploads-refused') });
+    setStorage(storage);
+    const res = await request(app)
+      .post('/api/images/upload')
+      .attach('images', Buffer.from('<svg onload="alert(1)">'), 'photo.png');
+    setStorage(null);
+    expect(res.statusCode).toBe(415);
+    expect(res.body.details).toBe('File is not an image that can be read');
+    expect(await storage.list()).toEqual([]);
+  });
+});
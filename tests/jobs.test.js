@@ -0,0 +1,75 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+
+const binaryParser = (response, callback) => {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+async function waitForJob(id) {
+  for (let i = 0; i < 50; i++) {
+    const res = await request(app).get(`/api/jobs/${id}`);
+    if (res.body.status === 'completed' || res.body.status === 'failed') {
+      return res.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Job did not finish');
+}
+
+describe('Generation jobs API', () => {
+  it('queues a job, reports completion and serves the artifact', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ biz: 'Job Co', niche: 'Queues' });
+    expect(created.statusCode).toBe(202);
+    expect(created.headers.location).toBe(`/api/jobs/${created.body.id}`);
+    expect(created.body.links.events).toBe(`/api/jobs/${created.body.id}/events`);
+
+    const job = await waitForJob(created.body.id);
+    expect(job.status).toBe('completed');
+    expect(job.progress).toBe(100);
+    expect(job.links.artifact).toBeDefined();
+    expect(job.links.project).toBe(`/api/projects/${job.projectId}`);
+    expect(job.formsToken).toMatch(/^[0-9a-f-]{36}$/);
+
+    const artifact = await request(app)
+      .get(job.links.artifact)
+      .buffer(true)
+      .parse(binaryParser);
+    expect(artifact.statusCode).toBe(200);
+    expect(artifact.body.slice(0, 2).toString()).toBe('PK');
+  });
+
+  it('streams stages over server-sent events', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ biz: 'Stream Co', niche: 'Events' });
+
+    const res = await request(app)
+      .get(`/api/jobs/${created.body.id}/events`)
+      .buffer(true)
+      .parse(binaryParser);
+    const stream = res.body.toString();
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    // The mock provider is fast, so the stream may join mid-pipeline
+    expect(stream).toMatch(/^event: (progress|completed)\ndata: /);
+    expect(stream).toMatch(/event: completed\ndata: .*"progress":100/);
+  });
+
+  it('rejects invalid input and unknown jobs', async () => {
+    const invalid = await request(app).post('/api/jobs').send({ niche: 'No name' });
+    expect(invalid.statusCode).toBe(400);
+
+    const missing = await request(app).get('/api/jobs/does-not-exist');
+    expect(missing.statusCode).toBe(404);
+  });
+});
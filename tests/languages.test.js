@@ -0,0 +1,135 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { translationErrors } = require('../utils/translator');
+const { validateSiteContent } = require('../middleware/validation');
+
+const siteContent = () => JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../fixtures/llm/site-content.json'), 'utf8').replace(/{{\w+}}/g, 'Casa')
+);
+
+describe('Multi-language sites', () => {
+  const provider = getProvider();
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('renders one copy of each page per language with hreflang links', async () => {
+    const spanish = validateSiteContent(siteContent()).value;
+    spanish.landing.hero.headline = 'Bienvenidos a Casa';
+    spanish.labels.services = 'Nuestros servicios';
+    provider.enqueue(JSON.stringify(siteContent()), JSON.stringify({ value: spanish }));
+
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Casa', niche: 'Cafe', languages: ['en', 'es'] });
+    expect(res.statusCode).toBe(200);
+    const projectId = res.headers['x-project-id'];
+    expect(provider.calls[1].messages[0].content).toMatch(/from English to Spanish/);
+
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    expect(project.body.languages).toEqual(['en', 'es']);
+    expect(project.body.files).toEqual(expect.arrayContaining(['index.html', 'about.html', 'es/index.html', 'es/about.html']));
+
+    const english = await request(app).get(`/api/projects/${projectId}/site/about.html`);
+    expect(english.text).toContain('<html lang="en" dir="ltr">');
+    expect(english.text).toContain('<link rel="alternate" hreflang="es" href="es/about.html">');
+    expect(english.text).toContain('<link rel="alternate" hreflang="x-default" href="about.html">');
+
+    const translated = await request(app).get(`/api/projects/${projectId}/site/es/index.html`);
+    expect(translated.text).toContain('<html lang="es" dir="ltr">');
+    expect(translated.text).toContain('Bienvenidos a Casa');
+    expect(translated.text).toContain('Nuestros servicios');
+    expect(translated.text).toContain('<link rel="alternate" hreflang="en" href="../index.html">');
+    expect(translated.text).toContain('href="../index.html" hreflang="en" lang="en">English</a>');
+    expect(translated.text).toContain('hreflang="es" lang="es" aria-current="true">español</a>');
+  });
+
+  it('translates the interface labels when the default language is not English', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Casa', niche: 'Cafe', languages: ['es'] });
+    expect(res.statusCode).toBe(200);
+
+    expect(provider.calls.map(call => call.fixture)).toEqual(['site-content', 'translation']);
+    expect(provider.calls[0].messages[0].content).toMatch(/Write all of the website copy in Spanish/);
+    expect(provider.calls[1].context.value).toContain('"services":"Our Services"');
+
+    const page = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expect(page.text).toContain('<html lang="es" dir="ltr">');
+    expect(page.text).not.toContain('hreflang');
+  });
+
+  it('adds a language to a stored project as a follow-up pass', async () => {
+    const created = await request(app).post('/generate').send({ biz: 'Casa', niche: 'Cafe' });
+    const projectId = created.headers['x-project-id'];
+
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/translations`)
+      .send({ language: 'ar' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.languages).toEqual(['en', 'ar']);
+    expect(res.body.files).toContain('ar/contact.html');
+
+    const arabic = await request(app).get(`/api/projects/${projectId}/site/ar/contact.html`);
+    expect(arabic.text).toContain('<html lang="ar" dir="rtl">');
+    const english = await request(app).get(`/api/projects/${projectId}/site/contact.html`);
+    expect(english.text).toContain('class="language-switcher"');
+
+    const again = await request(app)
+      .post(`/api/projects/${projectId}/translations`)
+      .send({ language: 'ar' });
+    expect(again.statusCode).toBe(409);
+
+    const invalid = await request(app)
+      .post(`/api/projects/${projectId}/translations`)
+      .send({ language: 'Arabic' });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it('translates a regenerated section into every language', async () => {
+    const created = await request(app)
+      .post('/generate')
+      .send({ biz: 'Casa', niche: 'Cafe', languages: ['en', 'es'] });
+    const projectId = created.headers['x-project-id'];
+    provider.reset();
+    provider.enqueue(
+      JSON.stringify({ value: { headline: 'Fresh Coffee', subheading: '', ctaText: 'Visit' } }),
+      JSON.stringify({ value: { headline: 'Café recién hecho', subheading: '', ctaText: 'Visítanos' } })
+    );
+
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/sections`)
+      .send({ section: 'landing.hero' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pages).toEqual(['index.html', 'es/index.html']);
+
+    const translated = await request(app).get(`/api/projects/${projectId}/site/es/index.html`);
+    expect(translated.text).toContain('Café recién hecho');
+  });
+
+  it('rejects translations that change the structure or untranslatable values', () => {
+    const source = { colors: { primary: '#000000' }, services: [{ title: 'Coffee', icon: 'fas fa-mug-hot' }] };
+
+    expect(translationErrors(source, {
+      colors: { primary: '#000000' },
+      services: [{ title: 'Café', icon: 'fas fa-mug-hot' }]
+    })).toEqual([]);
+    expect(translationErrors(source, {
+      colors: { primary: 'negro' },
+      services: [{ title: 'Café', icon: 'fas fa-mug-hot' }, { title: 'Té', icon: 'fas fa-leaf' }]
+    })).toEqual([
+      'value.colors must not be translated',
+      'value.services must be an array of 1 items'
+    ]);
+  });
+});
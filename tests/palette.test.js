@@ -0,0 +1,112 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+// Every image is a photo of 100 opaque pixels, mostly navy with some red and
+// steel blue and a little white, and a few transparent ones
+jest.mock('sharp', () => {
+  const pixels = [
+    ...Array(60).fill([0x1D, 0x35, 0x57, 255]),
+    ...Array(20).fill([0xE6, 0x39, 0x46, 255]),
+    ...Array(15).fill([0x45, 0x7B, 0x9D, 255]),
+    ...Array(5).fill([0xFF, 0xFF, 0xFF, 255]),
+    ...Array(5).fill([0, 0, 0, 0])
+  ];
+  const sharp = jest.fn(() => {
+    let raw = false;
+    const pipeline = {
+      metadata: async () => ({ format: 'png', width: 10, height: 11 }),
+      rotate: () => pipeline,
+      resize: () => pipeline,
+      ensureAlpha: () => pipeline,
+      raw: () => { raw = true; sharp.rawReads++; return pipeline; },
+      toBuffer: async () => (raw
+        ? { data: Buffer.from(pixels.flat()), info: { channels: 4 } }
+        : { data: Buffer.from('photo'), info: { width: 10, height: 11, format: 'png' } })
+    };
+    return pipeline;
+  });
+  sharp.rawReads = 0;
+  return sharp;
+});
+
+const sharp = require('sharp');
+const app = require('../app');
+const { setStorage, LocalStorage } = require('../utils/storage');
+const { pickColors, extractPalette } = require('../utils/palette');
+
+describe('Palette extraction', () => {
+  let uploadsDir;
+  let image;
+
+  beforeAll(async () => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    setStorage(new LocalStorage({ dir: uploadsDir }));
+    const upload = await request(app).post('/api/images/upload').attach('images', path.join(__dirname, 'fixtures', 'test.png'), 'harbour.png');
+    expect(upload.statusCode).toBe(200);
+    [image] = upload.body.images;
+  });
+
+  afterAll(() => {
+    setStorage(null);
+    for (const dir of [uploadsDir, process.env.IMAGE_LIBRARY_DIR, process.env.PROJECTS_DIR]) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('picks site colours from the dominant colours of an image and keeps them', async () => {
+    const res = await request(app).get(`/api/images/${image.id}/palette`);
+    expect(res.statusCode).toBe(200);
+    // White is left out of the site colours; red is the hue furthest from navy
+    expect(res.body).toEqual({
+      primary: '#1D3557',
+      secondary: '#457B9D',
+      accent: '#E63946',
+      swatches: [
+        { color: '#1D3557', share: 0.6 },
+        { color: '#E63946', share: 0.2 },
+        { color: '#457B9D', share: 0.15 },
+        { color: '#FFFFFF', share: 0.05 }
+      ]
+    });
+
+    // The palette is kept on the library record
+    const again = await request(app).get(`/api/images/${image.id}/palette`);
+    expect(again.body).toEqual(res.body);
+    expect(sharp.rawReads).toBe(1);
+    expect((await request(app).get(`/api/images/${image.id}`)).body.palette.primary).toBe('#1D3557');
+  });
+
+  it('uses the palette as the site colours of a generation', async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Harbour Tours', niche: 'Boat trips', images: [image.url], paletteFrom: image.url });
+    expect(res.statusCode).toBe(200);
+
+    const project = (await request(app).get(`/api/projects/${res.headers['x-project-id']}`)).body;
+    expect(project.palette).toEqual({ primary: '#1D3557', secondary: '#457B9D', accent: '#E63946' });
+    expect(project.content.colors).toEqual(project.palette);
+
+    // An image that isn't in storage leaves the model's colours
+    const other = await request(app).post('/generate').send({ biz: 'Harbour Tours', niche: 'Boat trips', paletteFrom: 'https://example.com/logo.png' });
+    expect(other.statusCode).toBe(200);
+    const unchanged = (await request(app).get(`/api/projects/${other.headers['x-project-id']}`)).body;
+    expect(unchanged.palette).toBeNull();
+    expect(unchanged.content.colors.primary).toBe('#2563EB');
+  });
+
+  it('derives the colours a single-colour image lacks from its primary', () => {
+    const { primary, secondary, accent } = pickColors([{ rgb: [0x1D, 0x35, 0x57], count: 10 }]);
+    expect(primary).toBe('#1D3557');
+    // A darker navy and the complementary hue, a dark brown
+    expect(secondary).toBe('#14253D');
+    expect(accent).toBe('#573F1D');
+  });
+
+  it('needs sharp', async () => {
+    await expect(extractPalette(Buffer.from('photo'), { sharp: null })).rejects.toMatchObject({ status: 503 });
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+
+describe('Portfolio sites', () => {
+  const provider = getProvider();
+  const images = ['/uploads/1712345678-harbour_house.jpg', '/uploads/corner-bakery.png', 'https://cdn.example/garden.webp'];
+  let projectId;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Studio North', niche: 'Architecture', websiteType: 'portfolio', images });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+  });
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const site = file => request(app).get(`/api/projects/${projectId}/site/${file}`);
+
+  it('writes a project for each uploaded image', async () => {
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    const { projects } = project.body.content.portfolio;
+    expect(projects.map(work => [work.image, work.slug])).toEqual([
+      ['images/1712345678-harbour_house.jpg', 'harbour-house'],
+      ['images/corner-bakery.png', 'corner-bakery'],
+      ['https://cdn.example/garden.webp', 'garden-studio']
+    ]);
+    expect(project.body.files).toEqual(expect.arrayContaining([
+      'portfolio.html', 'work-harbour-house.html', 'work-corner-bakery.html', 'work-garden-studio.html'
+    ]));
+    expect(project.body.accessibility.issues).toEqual([]);
+  });
+
+  it('renders a filterable gallery linking to each project', async () => {
+    const gallery = await site('portfolio.html');
+    expect(gallery.text.match(/class="gallery-item"/g)).toHaveLength(3);
+    expect(gallery.text).toContain('<button type="button" data-filter="commercial" aria-pressed="false">Commercial</button>');
+    expect(gallery.text).toContain('<li class="gallery-item" data-category="residential">');
+    expect(gallery.text).toContain('<a href="work-corner-bakery.html">');
+    // The uploads don't exist here, so there are no responsive copies to point at
+    expect(gallery.text).toContain('<img src="images/corner-bakery.png" alt="Bakery counter with pastries on display" loading="lazy">');
+
+    const work = await site('work-corner-bakery.html');
+    expect(work.text).toContain('<h1>Corner Bakery</h1>');
+    expect(work.text).toContain('<a href="work-harbour-house.html" rel="prev">');
+    expect(work.text).toContain('<a href="work-garden-studio.html" rel="next">');
+  });
+
+  it('only builds a gallery for portfolio sites with images', async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Studio North', niche: 'Architecture', websiteType: 'portfolio' });
+    const project = await request(app).get(`/api/projects/${res.headers['x-project-id']}`);
+    expect(project.body.files).not.toContain('portfolio.html');
+    expect(provider.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { ProjectStore } = require('../utils/project-store');
+
+describe('Project store API', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('keeps each generation as its own project', async () => {
+    const first = await request(app).post('/generate').send({ biz: 'Same Name', niche: 'Bakery' });
+    const second = await request(app).post('/generate').send({ biz: 'Same Name', niche: 'Florist' });
+    const firstId = first.headers['x-project-id'];
+    const secondId = second.headers['x-project-id'];
+
+    expect(firstId).toBeDefined();
+    expect(secondId).not.toBe(firstId);
+
+    const list = await request(app).get('/api/projects');
+    const ids = list.body.projects.map(project => project.id);
+    expect(ids).toEqual(expect.arrayContaining([firstId, secondId]));
+
+    const project = await request(app).get(`/api/projects/${firstId}`);
+    expect(project.statusCode).toBe(200);
+    expect(project.body.status).toBe('completed');
+    expect(project.body.input.niche).toBe('Bakery');
+    expect(project.body.content.landing.hero.headline).toBe('Welcome to Same Name');
+    expect(project.body.files).toEqual(['about.html', 'accessibility.json', 'contact.html', 'index.html', 'robots.txt']);
+
+    const download = await request(app).get(project.body.links.download);
+    expect(download.statusCode).toBe(200);
+  });
+
+  it('deletes a project and its files', async () => {
+    const generated = await request(app).post('/generate').send({ biz: 'Short Lived', niche: 'Testing' });
+    const id = generated.headers['x-project-id'];
+
+    const deleted = await request(app).delete(`/api/projects/${id}`);
+    expect(deleted.statusCode).toBe(204);
+    expect(fs.existsSync(path.join(process.env.PROJECTS_DIR, id))).toBe(false);
+
+    const missing = await request(app).get(`/api/projects/${id}`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('rejects ids that are not project ids', () => {
+    const store = new ProjectStore({ rootDir: process.env.PROJECTS_DIR });
+    expect(store.get('../../etc')).toBeNull();
+    expect(() => store.siteDir('../escape')).toThrow('Invalid project id');
+  });
+});
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { createProvider, MockProvider, OpenAIProvider } = require('../utils/providers');
+
+jest.mock('axios');
+
+describe('LLM providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.resetAllMocks();
+  });
+
+  it('mock provider fills fixture placeholders from context', async () => {
+    const provider = new MockProvider();
+    const text = await provider.complete({
+      messages: [],
+      fixture: 'site-content',
+      context: { biz: 'Acme "Quotes"', niche: 'Plumbing' }
+    });
+    const content = JSON.parse(text);
+    expect(content.landing.hero.headline).toBe('Welcome to Acme "Quotes"');
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('mock provider returns queued responses before fixtures', async () => {
+    const provider = new MockProvider().enqueue('first');
+    await expect(provider.complete({ messages: [] })).resolves.toBe('first');
+    await expect(provider.complete({ messages: [], fixture: 'missing' }))
+      .rejects.toThrow('Mock provider fixture not found: missing');
+  });
+
+  it('openai provider requires an API key', () => {
+    delete process.env.OPENAI_API_KEY;
+    expect(() => createProvider('openai')).toThrow('OpenAI API key not set');
+  });
+
+  it('openai-compatible provider posts to the configured base URL', async () => {
+    process.env.LLM_BASE_URL = 'http://localhost:11434/v1/';
+    process.env.LLM_MODEL = 'llama3';
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'hi' } }] } });
+
+    const provider = createProvider('openai-compatible');
+    expect(provider).toBeInstanceOf(OpenAIProvider);
+    await expect(provider.complete({ messages: [{ role: 'user', content: 'hello' }] })).resolves.toBe('hi');
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body.model).toBe('llama3');
+    expect(config.headers.Authorization).toBeUndefined();
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createProvider('nope')).toThrow(/Unknown LLM provider "nope"/);
+  });
+});
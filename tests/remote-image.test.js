@@ -0,0 +1,96 @@
+const request = require('supertest');
+const express = require('express');
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.IMAGE_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-library-'));
+
+// sharp reads "PNG ..." buffers as PNG images and nothing else
+jest.mock('sharp', () => jest.fn((data) => {
+  const format = String(data).startsWith('PNG') ? 'png' : null;
+  const pipeline = {
+    metadata: async () => {
+      if (!format) throw new Error('Input buffer contains unsupported image format');
+      return { format, width: 40, height: 30 };
+    },
+    rotate: () => pipeline,
+    toBuffer: async () => ({ data: Buffer.from('PNG without metadata'), info: { width: 40, height: 30, format } })
+  };
+  return pipeline;
+}));
+
+const app = require('../index');
+const { setStorage, LocalStorage } = require('../utils/storage');
+const { isPublicAddress, fetchImage } = require('../utils/remote-image');
+
+// A web server with an image, a page claiming to be one and a redirect to
+// the cloud metadata service
+function fakeWebsite() {
+  const site = express();
+  site.get('/harbour.png', (req, res) => res.type('image/png').send(Buffer.from('PNG pixels')));
+  site.get('/x.html', (req, res) => res.type('text/html').send('<script>alert(1)</script>'));
+  site.get('/fake.png', (req, res) => res.type('image/png').send('<script>alert(1)</script>'));
+  site.get('/metadata', (req, res) => res.redirect('http://169.254.169.254/latest/meta-data/'));
+  return site;
+}
+
+describe('Copying images from a URL', () => {
+  let uploadsDir;
+  let server;
+  let origin;
+  // The test server runs on this machine, which the real lookup refuses
+  const anyLookup = (hostname, options, callback) => dns.lookup(hostname, options, callback);
+
+  beforeAll((done) => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    setStorage(new LocalStorage({ dir: uploadsDir }));
+    server = fakeWebsite().listen(0, () => {
+      origin = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(() => {
+    server.close();
+    setStorage(null);
+    for (const dir of [uploadsDir, process.env.IMAGE_LIBRARY_DIR]) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('tells public addresses from internal ones', () => {
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:4700::1111')).toBe(true);
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+
+  it('refuses missing URLs and hosts on internal networks', async () => {
+    for (const imageUrl of [undefined, 'not a url', 'file:///etc/passwd']) {
+      const res = await request(app).post('/upload').send({ imageUrl });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('imageUrl must be an http(s) URL.');
+    }
+
+    for (const imageUrl of [`${origin}/harbour.png`, 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/a.png', 'http://2130706433/a.png']) {
+      const res = await request(app).post('/upload').send({ imageUrl });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/is not a public address/);
+    }
+
+    await expect(fetchImage(`${origin}/metadata`, { lookup: anyLookup })).rejects.toMatchObject({ status: 400, message: expect.stringContaining('169.254.169.254') });
+  });
+
+  it('only keeps images, named after the format read from them', async () => {
+    await expect(fetchImage(`${origin}/x.html`, { lookup: anyLookup })).rejects.toMatchObject({ status: 415 });
+    await expect(fetchImage(`${origin}/fake.png`, { lookup: anyLookup })).rejects.toMatchObject({ status: 415 });
+
+    const file = await fetchImage(`${origin}/harbour.png?name=x.html`, { lookup: anyLookup });
+    expect(file).toEqual({ buffer: Buffer.from('PNG pixels'), originalname: 'image.png', mimetype: 'image/png' });
+    await expect(fetchImage(`${origin}/harbour.png`, { lookup: anyLookup, sharp: null })).rejects.toMatchObject({ status: 503 });
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { parseHours, openingHoursTable } = require('../utils/opening-hours');
+
+const jsonLd = html => [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)]
+  .map(match => JSON.parse(match[1]));
+
+describe('Restaurant sites', () => {
+  const provider = getProvider();
+  let projectId;
+  let formsToken;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Trattoria', niche: 'Italian', websiteType: 'restaurant', siteUrl: 'https://trattoria.example' });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+    formsToken = res.headers['x-forms-token'];
+  });
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const site = (file, id = projectId) => request(app).get(`/api/projects/${id}/site/${file}`);
+
+  it('generates a menu and renders it with prices and dietary tags', async () => {
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    expect(project.body.content.menu.categories.map(category => category.name)).toEqual(['Starters', 'Mains', 'Desserts']);
+    expect(project.body.files).toEqual(expect.arrayContaining(['menu.html', 'reservations.html']));
+    expect(project.body.accessibility.issues).toEqual([]);
+
+    const menu = await site('menu.html');
+    expect(menu.text).toContain('<h3>Trattoria Burger</h3>');
+    expect(menu.text).toContain('<span class="menu-price">$12.50</span>');
+    expect(menu.text).toContain('<li>Gluten-free</li>');
+    expect(menu.text).toContain('<a href="menu.html" aria-current="page">Menu</a>');
+
+    const [data] = jsonLd(menu.text);
+    expect(data['@type']).toBe('Menu');
+    expect(data.url).toBe('https://trattoria.example/menu.html');
+    expect(data.hasMenuSection[1].hasMenuItem[1]).toMatchObject({
+      name: 'Mushroom Risotto',
+      offers: { price: '21.00', priceCurrency: 'USD' },
+      suitableForDiet: ['https://schema.org/VegetarianDiet', 'https://schema.org/GlutenFreeDiet']
+    });
+  });
+
+  it('describes the business as a Restaurant with structured opening hours', async () => {
+    const home = await site('index.html');
+    const [data] = jsonLd(home.text);
+    expect(data).toMatchObject({
+      '@type': 'Restaurant',
+      hasMenu: 'https://trattoria.example/menu.html',
+      acceptsReservations: 'https://trattoria.example/reservations.html',
+      openingHoursSpecification: [{
+        dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+        opens: '09:00',
+        closes: '17:00'
+      }]
+    });
+
+    const contact = await site('contact.html');
+    expect(contact.text).toContain('<th scope="row">Monday</th>');
+    expect(contact.text).toMatch(/<th scope="row">Sunday<\/th>\s*<td>Closed<\/td>/);
+  });
+
+  it('posts reservation requests to the form endpoint', async () => {
+    const page = await site('reservations.html');
+    expect(page.text).toContain(`action="http://localhost:3000/api/forms/${projectId}"`);
+    expect(page.text).toContain('<input type="hidden" name="form" value="reservation">');
+
+    const res = await request(app)
+      .post(`/api/forms/${projectId}`)
+      .type('form')
+      .send({ form: 'reservation', name: 'Ada', email: 'ada@example.com', date: '2026-11-01', time: '19:30', partySize: '4' });
+    expect(res.statusCode).toBe(201);
+
+    const submissions = await request(app).get(`/api/forms/${projectId}/submissions`).query({ token: formsToken });
+    expect(submissions.body.submissions[0].fields).toMatchObject({ form: 'reservation', partySize: '4' });
+  });
+
+  it('uses a menu supplied with the request instead of generating one', async () => {
+    const menu = {
+      currency: 'eur',
+      categories: [{ name: 'Pizza', items: [{ name: 'Margherita', price: 9, dietary: ['Vegetarian'] }] }]
+    };
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Trattoria', niche: 'Italian', websiteType: 'restaurant', menu });
+    expect(res.statusCode).toBe(200);
+    expect(provider.calls).toHaveLength(1);
+
+    const page = await site('menu.html', res.headers['x-project-id']);
+    expect(page.text).toContain('<span class="menu-price">€9.00</span>');
+    expect(page.text).toContain('<li>Vegetarian</li>');
+  });
+
+  it('rejects a menu for other website types', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', menu: { categories: [{ name: 'A', items: [{ name: 'B', price: 1 }] }] } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toMatch(/only used by restaurant sites/);
+  });
+
+  it('parses common ways of writing opening hours', () => {
+    const week = parseHours('Mon–Thu 11:30am–10pm; Fri-Sat: 11-2pm, 5-11pm; Sun closed');
+    expect(week[0].intervals).toEqual([{ opens: '11:30', closes: '22:00' }]);
+    expect(week[4].intervals).toEqual([{ opens: '11:00', closes: '14:00' }, { opens: '17:00', closes: '23:00' }]);
+    expect(week[6].intervals).toEqual([]);
+    expect(parseHours('Daily 17:00-23:00').every(day => day.intervals[0].opens === '17:00')).toBe(true);
+    expect(parseHours('Call us for hours')).toBeNull();
+    expect(openingHoursTable('Mon-Fri: 9-17', 'es')[0]).toEqual({ day: 'lunes', hours: '9:00 – 17:00' });
+  });
+});
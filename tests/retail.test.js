@@ -0,0 +1,125 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { minorUnits } = require('../utils/payments');
+
+describe('Retail sites', () => {
+  const provider = getProvider();
+  let projectId;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Field Goods', niche: 'Homeware', websiteType: 'retail' });
+    expect(res.statusCode).toBe(200);
+    projectId = res.headers['x-project-id'];
+  });
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const site = (file, id = projectId) => request(app).get(`/api/projects/${id}/site/${file}`);
+
+  it('renders placeholder products with a shop, product pages and a cart', async () => {
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    const { catalog } = project.body.content;
+    expect(catalog.placeholder).toBe(true);
+    expect(catalog.products).toHaveLength(6);
+    expect(project.body.files).toEqual(expect.arrayContaining(['shop.html', 'cart.html', 'product-everyday-tote.html']));
+    expect(project.body.accessibility.issues).toEqual([]);
+
+    const shop = await site('shop.html');
+    expect(shop.text.match(/class="card product-card"/g)).toHaveLength(6);
+    expect(shop.text).toContain('<h2>Bags</h2>');
+    expect(shop.text).toContain('<p class="product-price">$89.50</p>');
+    expect(shop.text).toContain('data-add-to-cart="enamel-mug"');
+
+    const product = await site('product-beeswax-candle.html');
+    const [data] = [...product.text.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map(match => JSON.parse(match[1]));
+    expect(data).toMatchObject({ '@type': 'Product', name: 'Beeswax Candle', offers: { price: '18.75', priceCurrency: 'USD' } });
+
+    const cart = await site('cart.html');
+    expect(cart.text).toContain(`<form class="cart-checkout" action="http://localhost:3000/api/checkout/${projectId}" method="POST" hidden>`);
+    const [, products] = cart.text.match(/<script type="application\/json" id="cart-products">([\s\S]*?)<\/script>/);
+    expect(JSON.parse(products)['gift-card']).toEqual({ name: 'Gift Card', price: 50, file: 'product-gift-card.html' });
+  });
+
+  it('uses products uploaded as CSV', async () => {
+    const products = 'Name,Price,Category,SKU\r\n"Oak Board, large","€1,250.00",Kitchen,OB-1\r\nLinen Towel,12,Kitchen,\r\n';
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Field Goods', niche: 'Homeware', websiteType: 'retail', currency: 'eur', products });
+    expect(res.statusCode).toBe(200);
+    expect(provider.calls).toHaveLength(1);
+
+    const project = await request(app).get(`/api/projects/${res.headers['x-project-id']}`);
+    expect(project.body.content.catalog).toMatchObject({ currency: 'EUR', placeholder: false });
+    expect(project.body.content.catalog.products[0]).toMatchObject({ name: 'Oak Board, large', slug: 'oak-board-large', price: 1250, sku: 'OB-1' });
+
+    const shop = await site('shop.html', res.headers['x-project-id']);
+    expect(shop.text).toContain('<p class="product-price">€1,250.00</p>');
+  });
+
+  it('rejects product lists it cannot read', async () => {
+    const csv = await request(app)
+      .post('/generate')
+      .send({ biz: 'Field Goods', niche: 'Homeware', websiteType: 'retail', products: 'name,price\nMug,\n' });
+    expect(csv.statusCode).toBe(400);
+    expect(csv.body.details).toMatch(/products CSV: "\[0\]\.price" is required/);
+
+    const business = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', products: [{ name: 'Mug', price: 5 }] });
+    expect(business.statusCode).toBe(400);
+  });
+
+  it('hands a cart to the payment provider at catalog prices', async () => {
+    const res = await request(app)
+      .post(`/api/checkout/${projectId}`)
+      .send({ items: { 'everyday-tote': 2, 'beeswax-candle': 1 }, returnUrl: 'https://shop.example/cart.html' });
+    expect(res.statusCode).toBe(201);
+    const url = new URL(res.body.url);
+    expect(url.pathname).toBe(`/api/checkout/stub/${res.body.id}`);
+
+    const page = await request(app).get(url.pathname);
+    expect(page.text).toContain('<td>Everyday Tote</td><td>2</td><td>$48.00</td>');
+    expect(page.text).toContain('Pay $66.75 (test)');
+
+    const paid = await request(app).post(url.pathname);
+    expect(paid.text).toContain('<a href="https://shop.example/cart.html?checkout=success">');
+  });
+
+  it('redirects a checkout form post to the payment page', async () => {
+    const res = await request(app)
+      .post(`/api/checkout/${projectId}`)
+      .set('Accept', 'text/html')
+      .type('form')
+      .send('items[enamel-mug]=3');
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.location).toMatch(/\/api\/checkout\/stub\//);
+  });
+
+  it('refuses unknown products and sites without a shop', async () => {
+    const unknown = await request(app).post(`/api/checkout/${projectId}`).send({ items: { 'free-money': 1 } });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.details).toBe('Unknown products: free-money');
+
+    const business = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools' });
+    const noShop = await request(app).post(`/api/checkout/${business.headers['x-project-id']}`).send({ items: { mug: 1 } });
+    expect(noShop.statusCode).toBe(404);
+  });
+
+  it('counts amounts in the currency minor unit', () => {
+    expect(minorUnits(12.5, 'USD')).toBe(1250);
+    expect(minorUnits(500, 'JPY')).toBe(500);
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { getPath, setPath, diffValues } = require('../utils/section-regenerator');
+
+describe('Section regeneration', () => {
+  let projectId;
+
+  beforeAll(async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Regen Co', niche: 'Gardening' });
+    projectId = res.headers['x-project-id'];
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('re-prompts one section and re-renders only its page', async () => {
+    const provider = getProvider();
+    provider.reset();
+    provider.enqueue(JSON.stringify({
+      value: [{ title: 'Hedge Sculpting', description: 'Playful topiary.', icon: 'fas fa-leaf' }]
+    }));
+    const aboutBefore = await request(app).get(`/api/projects/${projectId}/site/about.html`);
+
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/sections`)
+      .send({ section: 'landing.services', instruction: 'make it more playful' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pages).toEqual(['index.html']);
+    expect(res.body.after[0].title).toBe('Hedge Sculpting');
+    expect(res.body.changes).toEqual(expect.arrayContaining([
+      { path: 'landing.services.0.title', before: 'Consultation', after: 'Hedge Sculpting' }
+    ]));
+    expect(provider.calls[0].messages[0].content).toMatch(/make it more playful/);
+
+    const index = await request(app).get(`/api/projects/${projectId}/site/index.html`);
+    expect(index.text).toMatch(/Hedge Sculpting/);
+    const aboutAfter = await request(app).get(`/api/projects/${projectId}/site/about.html`);
+    expect(aboutAfter.text).toBe(aboutBefore.text);
+
+    const project = await request(app).get(`/api/projects/${projectId}`);
+    expect(project.body.content.landing.services).toHaveLength(1);
+    expect(project.body.content.about.story).toMatch(/Regen Co/);
+  });
+
+  it('rejects unknown or malformed section paths', async () => {
+    const malformed = await request(app)
+      .post(`/api/projects/${projectId}/sections`)
+      .send({ section: '../secrets' });
+    expect(malformed.statusCode).toBe(400);
+
+    const unknown = await request(app)
+      .post(`/api/projects/${projectId}/sections`)
+      .send({ section: 'landing.nothing' });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.details).toBe('Unknown section: landing.nothing');
+  });
+
+  it('never follows or writes inherited properties', async () => {
+    const { toString } = Object.prototype;
+    for (const section of ['branding.constructor.prototype.toString', 'landing.__proto__.polluted']) {
+      const res = await request(app)
+        .post(`/api/projects/${projectId}/sections`)
+        .send({ section });
+      expect(res.statusCode).toBe(400);
+    }
+    expect(Object.prototype.toString).toBe(toString);
+    expect({}.polluted).toBeUndefined();
+
+    // Own keys only, even for paths the schema lets through
+    expect(getPath({ branding: {} }, 'branding.hasOwnProperty')).toBeUndefined();
+    expect(() => setPath({ branding: {} }, 'branding.toString', 'x')).toThrow('Unknown section');
+  });
+
+  it('diffs nested values by leaf path', () => {
+    expect(diffValues({ a: 1, b: { c: 'x' } }, { a: 1, b: { c: 'y', d: true } }, 'root')).toEqual([
+      { path: 'root.b.c', before: 'x', after: 'y' },
+      { path: 'root.b.d', before: undefined, after: true }
+    ]);
+  });
+});
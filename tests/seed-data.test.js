@@ -0,0 +1,103 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { applySeedData } = require('../utils/seed-data');
+
+describe('Seeding generation from a data file', () => {
+  const provider = getProvider();
+  const data = {
+    company: { phone: '+44 20 7946 0958', email: 'hello@brightheat.co.uk', address: '4 Mill Lane, Leeds' },
+    services: [{ title: 'Implementation', description: 'Boilers fitted in a day.' }, { title: 'Boiler Servicing' }],
+    team: [{ name: 'Ana Ruiz', position: 'Owner' }],
+    testimonials: [{ quote: 'Warm again within the hour.', author: 'Sam P.', role: 'Homeowner' }]
+  };
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const generate = body => request(app).post('/generate').send({ biz: 'Bright Heat', niche: 'Plumbing', ...body });
+  const load = async res => (await request(app).get(`/api/projects/${res.headers['x-project-id']}`)).body;
+
+  it('uses the supplied facts and leaves out the ones it was not given', async () => {
+    const res = await generate({ data });
+    expect(res.statusCode).toBe(200);
+    expect(provider.calls[0].messages[0].content).toContain('"phone": "+44 20 7946 0958"');
+
+    const { content, accessibility } = await load(res);
+    expect(content.contact).toMatchObject({ phone: '+44 20 7946 0958', email: 'hello@brightheat.co.uk', address: '4 Mill Lane, Leeds', hours: '' });
+    expect(content.landing.services).toEqual([
+      { title: 'Implementation', description: 'Boilers fitted in a day.', icon: 'fas fa-cogs' },
+      { title: 'Boiler Servicing', description: '', icon: 'fas fa-star' }
+    ]);
+    expect(content.landing.stats).toEqual([]);
+    expect(content.about.team).toEqual([{ name: 'Ana Ruiz', position: 'Owner', bio: '' }]);
+    expect(accessibility.issues).toEqual([]);
+
+    const home = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expect(home.text).toContain('<blockquote><p>Warm again within the hour.</p></blockquote>');
+    expect(home.text).toContain('<figcaption>Sam P., Homeowner</figcaption>');
+    expect(home.text).not.toContain('class="stats"');
+  });
+
+  it('reads a CSV data file with a type column', async () => {
+    const csv = [
+      'type,title,name,description,price,phone,hours',
+      'company,,,,,0113 496 0000,Mon-Sat 8am-6pm',
+      'service,Leak Repair,,Fast fixes for dripping taps.,,,',
+      'product,,Tap Washer Kit,,"£4.50",,'
+    ].join('\n');
+    const res = await generate({ websiteType: 'retail', currency: 'GBP', data: csv });
+    expect(res.statusCode).toBe(200);
+
+    const { content } = await load(res);
+    expect(content.contact).toMatchObject({ phone: '0113 496 0000', hours: 'Mon-Sat 8am-6pm', email: '' });
+    expect(content.landing.services).toEqual([{ title: 'Leak Repair', description: 'Fast fixes for dripping taps.', icon: 'fas fa-star' }]);
+    expect(content.catalog).toMatchObject({ currency: 'GBP', placeholder: false });
+    expect(content.catalog.products[0]).toMatchObject({ name: 'Tap Washer Kit', price: 4.5 });
+  });
+
+  it('rejects data files it cannot use', async () => {
+    const type = await generate({ data: 'type,name\nsupplier,Acme' });
+    expect(type.statusCode).toBe(400);
+    expect(type.body.details).toMatch(/^data file: row 1 has type "supplier"/);
+
+    const json = await generate({ data: '{"team": [{"position": "Owner"}]}' });
+    expect(json.statusCode).toBe(400);
+    expect(json.body.details).toBe('data file: "team[0].name" is required');
+
+    const products = await generate({ data: { products: [{ name: 'Mug', price: 5 }] } });
+    expect(products.statusCode).toBe(400);
+    expect(products.body.details).toBe('"data" products are only used by retail sites');
+  });
+
+  it('keeps the facts when a section is regenerated', async () => {
+    const res = await generate({ data });
+    provider.enqueue(JSON.stringify({ value: { headline: 'Say hello', subtitle: 'We reply fast.', address: '1 Fake St', phone: '000', email: 'x@example.com', hours: '24/7' } }));
+    const regenerated = await request(app)
+      .post(`/api/projects/${res.headers['x-project-id']}/sections`)
+      .send({ section: 'contact' });
+    expect(regenerated.statusCode).toBe(200);
+    expect(regenerated.body.after).toEqual({
+      headline: 'Say hello',
+      subtitle: 'We reply fast.',
+      address: '4 Mill Lane, Leeds',
+      phone: '+44 20 7946 0958',
+      email: 'hello@brightheat.co.uk',
+      hours: ''
+    });
+  });
+
+  it('leaves content without a data file alone', () => {
+    const content = { contact: { phone: '555' } };
+    expect(applySeedData(content, undefined)).toBe(content);
+  });
+});
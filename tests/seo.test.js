@@ -0,0 +1,96 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { getProvider } = require('../utils/providers');
+const { buildSitemap } = require('../utils/seo');
+
+const siteContent = () => JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../fixtures/llm/site-content.json'), 'utf8').replace(/{{\w+}}/g, 'Acme')
+);
+
+describe('SEO metadata', () => {
+  const provider = getProvider();
+
+  beforeEach(() => provider.reset());
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  const sitePath = (projectId, file) => `/api/projects/${projectId}/site/${file}`;
+
+  it('adds descriptions, Open Graph tags and LocalBusiness data to every page', async () => {
+    const content = siteContent();
+    content.contact.address = '1 High St </script><script>alert(1)</script>';
+    provider.enqueue(JSON.stringify(content));
+
+    const res = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools' });
+    expect(res.statusCode).toBe(200);
+    const projectId = res.headers['x-project-id'];
+
+    const home = await request(app).get(sitePath(projectId, 'index.html'));
+    expect(home.text).toContain(`<meta name="description" content="${content.branding.description}">`);
+    expect(home.text).toContain('<meta property="og:site_name" content="Acme">');
+    expect(home.text).toContain('<meta property="og:locale" content="en">');
+    expect(home.text).toContain('<meta name="twitter:card" content="summary">');
+    expect(home.text).not.toContain('rel="canonical"');
+
+    const jsonLd = home.text.match(/<script type="application\/ld\+json">(.*?)<\/script>/s)[1];
+    expect(jsonLd).not.toContain('</script>');
+    expect(JSON.parse(jsonLd)).toMatchObject({
+      '@type': 'LocalBusiness',
+      name: 'Acme',
+      address: content.contact.address,
+      telephone: content.contact.phone,
+      openingHours: content.contact.hours
+    });
+
+    const contact = await request(app).get(sitePath(projectId, 'contact.html'));
+    expect(contact.text).toContain(`<meta name="description" content="${content.contact.subtitle}">`);
+
+    const robots = await request(app).get(sitePath(projectId, 'robots.txt'));
+    expect(robots.text).toBe('User-agent: *\nAllow: /\n');
+    const sitemap = await request(app).get(sitePath(projectId, 'sitemap.xml'));
+    expect(sitemap.statusCode).toBe(404);
+  });
+
+  it('writes canonical URLs and a sitemap when the site URL is known', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', siteUrl: 'https://acme.example', languages: ['en', 'fr'] });
+    expect(res.statusCode).toBe(200);
+    const projectId = res.headers['x-project-id'];
+
+    const about = await request(app).get(sitePath(projectId, 'fr/about.html'));
+    expect(about.text).toContain('<link rel="canonical" href="https://acme.example/fr/about.html">');
+    expect(about.text).toContain('<meta property="og:locale" content="fr">');
+    expect(about.text).toContain('<link rel="alternate" hreflang="en" href="https://acme.example/about.html">');
+
+    const robots = await request(app).get(sitePath(projectId, 'robots.txt'));
+    expect(robots.text).toContain('Sitemap: https://acme.example/sitemap.xml');
+
+    const sitemap = await request(app).get(sitePath(projectId, 'sitemap.xml'));
+    expect(sitemap.statusCode).toBe(200);
+    expect(sitemap.text).toContain('<loc>https://acme.example/index.html</loc>');
+    expect(sitemap.text).toContain('<loc>https://acme.example/fr/contact.html</loc>');
+    expect(sitemap.text).toContain('<xhtml:link rel="alternate" hreflang="fr" href="https://acme.example/fr/about.html"/>');
+  });
+
+  it('rejects site URLs that are not http(s)', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', siteUrl: 'javascript:alert(1)' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('escapes page URLs in the sitemap', () => {
+    const sitemap = buildSitemap({ siteUrl: 'https://example.com/?a=1&b=2/', files: ['index.html'] });
+    expect(sitemap).toContain('<loc>https://example.com/?a=1&amp;b=2/index.html</loc>');
+    expect(sitemap).not.toContain('xhtml:link');
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+process.env.STOCK_IMAGES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-'));
+
+const app = require('../app');
+const { resolveStockImages, UnsplashStockImages, PexelsStockImages } = require('../utils/stock-images');
+
+// Unsplash and Pexels search results for any query, and the photos they link to
+function fakeStockApis() {
+  const requests = [];
+  const api = express();
+  api.use((req, res, next) => {
+    requests.push({ path: req.path, query: req.query, authorization: req.headers.authorization });
+    next();
+  });
+  api.get('/unsplash/search/photos', (req, res) => {
+    const base = `http://${req.headers.host}`;
+    res.json({
+      results: [{
+        id: 'abc123',
+        alt_description: 'carpenter planing a board',
+        urls: { raw: `${base}/photos/abc123?ixid=xyz` },
+        links: { html: 'https://unsplash.com/photos/abc123', download_location: `${base}/unsplash/photos/abc123/download?ixid=xyz` },
+        user: { name: 'Ana Ruiz', links: { html: 'https://unsplash.com/@anaruiz' } }
+      }]
+    });
+  });
+  api.get('/unsplash/photos/abc123/download', (req, res) => res.json({ url: 'ignored' }));
+  api.get('/pexels/search', (req, res) => res.json({ photos: [] }));
+  api.get('/photos/:id', (req, res) => res.type('image/jpeg').send(`jpeg ${req.params.id}`));
+  return { api, requests };
+}
+
+describe('Stock images', () => {
+  beforeAll(() => {
+    const dir = process.env.STOCK_IMAGES_DIR;
+    fs.writeFileSync(path.join(dir, 'studio-interior.jpg'), 'studio');
+    fs.writeFileSync(path.join(dir, 'professional-portrait.png'), 'portrait');
+    fs.writeFileSync(path.join(dir, 'credits.json'), JSON.stringify({
+      'studio-interior.jpg': {
+        description: 'Sunlit studio with drafting tables',
+        photographer: 'Lee Park',
+        photographerUrl: 'https://photos.example/lee',
+        source: 'Example Photos',
+        sourceUrl: 'https://photos.example/studio',
+        license: 'CC BY 4.0',
+        licenseUrl: 'https://creativecommons.org/licenses/by/4.0/'
+      }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.STOCK_IMAGES_DIR, { recursive: true, force: true });
+  });
+
+  it('downloads a photo for each query of the basic generator and credits it', async () => {
+    const res = await request(app).post('/generate/basic').send({ biz: 'Acme', niche: 'Design' });
+    expect(res.statusCode).toBe(200);
+    const id = res.headers['x-project-id'];
+
+    const project = await request(app).get(`/api/projects/${id}`);
+    // "Design planning" matches no file in the folder and is left out
+    expect(project.body.imageCredits).toEqual([
+      {
+        file: 'images/stock/design-studio.jpg',
+        query: 'Design studio',
+        photographer: 'Lee Park',
+        photographerUrl: 'https://photos.example/lee',
+        source: 'Example Photos',
+        sourceUrl: 'https://photos.example/studio',
+        license: 'CC BY 4.0',
+        licenseUrl: 'https://creativecommons.org/licenses/by/4.0/'
+      },
+      expect.objectContaining({ file: 'images/stock/professional-portrait.png', query: 'professional portrait', photographer: null })
+    ]);
+    expect(project.body.files).toEqual(expect.arrayContaining(['images/stock/design-studio.jpg', 'images/stock/professional-portrait.png']));
+    expect(project.body.content.home.featuredServices[0].image.src).toBeUndefined();
+
+    const page = (await request(app).get(`/api/projects/${id}/site/index.html`)).text;
+    expect(page).toContain("background-image: url('images/stock/design-studio.jpg');");
+    expect(page).toContain('<img class="team-photo" src="images/stock/professional-portrait.png" alt="professional portrait" loading="lazy">');
+    expect(page.replace(/\s+/g, ' ')).toContain('Photo by <a href="https://photos.example/lee">Lee Park</a> on <a href="https://photos.example/studio">Example Photos</a> (<a href="https://creativecommons.org/licenses/by/4.0/">CC BY 4.0</a>)');
+  });
+
+  it('searches Unsplash and Pexels and reports Unsplash downloads', async () => {
+    const { api, requests } = fakeStockApis();
+    const server = api.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    try {
+      const unsplash = new UnsplashStockImages({ accessKey: 'key', baseURL: `${base}/unsplash` });
+      const content = {
+        hero: { backgroundImage: { unsplashQuery: 'joinery workshop' } },
+        services: [{ image: { unsplashQuery: 'Joinery workshop' } }]
+      };
+      const credits = await resolveStockImages(content, siteDir, { provider: unsplash });
+
+      // The same query is only fetched once
+      expect(requests.filter(call => call.path === '/unsplash/search/photos')).toEqual([{
+        path: '/unsplash/search/photos',
+        query: { query: 'joinery workshop', per_page: '1', orientation: 'landscape', content_filter: 'high' },
+        authorization: 'Client-ID key'
+      }]);
+      expect(requests.map(call => call.path)).toContain('/unsplash/photos/abc123/download');
+      expect(requests.find(call => call.path === '/photos/abc123').query).toEqual({ ixid: 'xyz', w: '1600', fm: 'jpg', q: '80', fit: 'max' });
+      expect(content.services[0].image).toEqual({ unsplashQuery: 'Joinery workshop', src: 'images/stock/joinery-workshop.jpg', alt: 'carpenter planing a board' });
+      expect(fs.readFileSync(path.join(siteDir, 'images/stock/joinery-workshop.jpg'), 'utf8')).toBe('jpeg abc123');
+      expect(credits).toEqual([expect.objectContaining({
+        photographer: 'Ana Ruiz',
+        photographerUrl: 'https://unsplash.com/@anaruiz?utm_source=gpt-site-gen&utm_medium=referral',
+        source: 'Unsplash',
+        license: 'Unsplash License'
+      })]);
+
+      const pexels = new PexelsStockImages({ apiKey: 'pexels-key', baseURL: `${base}/pexels` });
+      expect(await pexels.search('joinery', { orientation: 'square' })).toBeNull();
+      expect(requests[requests.length - 1]).toMatchObject({ query: { query: 'joinery', orientation: 'square' }, authorization: 'pexels-key' });
+    } finally {
+      server.close();
+      fs.rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+
+  it('leaves queries whose photo cannot be fetched unresolved', async () => {
+    const provider = {
+      name: 'flaky',
+      search: async query => ({ description: query, extension: 'jpg' }),
+      download: async () => { throw new Error('socket hang up'); }
+    };
+    const content = { hero: { backgroundImage: { unsplashQuery: 'harbour' } } };
+    expect(await resolveStockImages(content, os.tmpdir(), { provider })).toEqual([]);
+    expect(content.hero.backgroundImage).toEqual({ unsplashQuery: 'harbour' });
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateEngine, templateEngine, parseFrontMatter } = require('../utils/template-engine');
+
+describe('Template engine', () => {
+  let templatesDir;
+
+  beforeEach(() => {
+    templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    for (const dir of ['layouts', 'pages', 'partials']) {
+      fs.mkdirSync(path.join(templatesDir, dir));
+    }
+    fs.writeFileSync(path.join(templatesDir, 'partials', 'nav.html'),
+      '{{#each nav}}<a href="{{file}}">{{label}}</a>{{/each}}');
+    fs.writeFileSync(path.join(templatesDir, 'layouts', 'site.html'),
+      '<title>{{page.title}}</title>{{> nav}}<main>{{{body}}}</main>');
+    fs.writeFileSync(path.join(templatesDir, 'pages', 'index.html'),
+      '---\ntitle: {{biz}}\nnav: Home\norder: 1\nsections: landing\n---\n<h1>{{biz}}</h1>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(templatesDir, { recursive: true, force: true });
+  });
+
+  it('parses front matter with list and numeric values', () => {
+    const { meta, body } = parseFrontMatter('---\ntitle: Menu\norder: 3\nsections: landing, about\n---\n<p>hi</p>');
+    expect(meta).toEqual({ title: 'Menu', order: 3, sections: ['landing', 'about'] });
+    expect(body).toBe('<p>hi</p>');
+  });
+
+  it('escapes values by default', () => {
+    const engine = new TemplateEngine({ templatesDir });
+    const html = engine.renderSite({ biz: '<script>alert(1)</script>' })['index.html'];
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  it('picks up a new page without code changes', () => {
+    fs.writeFileSync(path.join(templatesDir, 'pages', 'menu.html'),
+      '---\ntitle: Menu | {{biz}}\nnav: Menu\norder: 2\n---\n{{#each dishes}}<li>{{this}}</li>{{/each}}');
+    const engine = new TemplateEngine({ templatesDir });
+
+    const site = engine.renderSite({ biz: 'Cafe', dishes: ['Soup', 'Bread'] });
+
+    expect(Object.keys(site)).toEqual(['index.html', 'menu.html']);
+    expect(site['menu.html']).toContain('<title>Menu | Cafe</title>');
+    expect(site['menu.html']).toContain('<li>Soup</li><li>Bread</li>');
+    expect(site['index.html']).toContain('<a href="menu.html">Menu</a>');
+  });
+
+  it('renders the built-in pages through the shared layout and partials', () => {
+    const content = require('../fixtures/llm/site-content.json');
+    const site = templateEngine.renderSite({
+      biz: 'Acme',
+      content: JSON.parse(JSON.stringify(content).replace(/{{\w+}}/g, 'Acme'))
+    });
+
+    expect(Object.keys(site)).toEqual(['index.html', 'about.html', 'contact.html']);
+    for (const html of Object.values(site)) {
+      expect(html).toContain('href="about.html"');
+      expect(html).toContain(`${new Date().getFullYear()} Acme`);
+    }
+    expect(site['index.html']).toContain('aria-current="page"');
+  });
+});
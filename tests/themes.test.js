@@ -0,0 +1,121 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+const app = require('../app');
+const { ThemeRegistry } = require('../utils/theme-registry');
+const { generateSchema } = require('../middleware/validation');
+
+describe('Theme packs', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.PROJECTS_DIR, { recursive: true, force: true });
+  });
+
+  it('lists installed themes, optionally by website type', async () => {
+    const res = await request(app).get('/api/themes');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.default).toBe('modern');
+    expect(res.body.themes.map(theme => theme.id)).toEqual(
+      expect.arrayContaining(['modern', 'classic', 'minimal', 'vibrant', 'dark'])
+    );
+    expect(res.body.themes[0]).not.toHaveProperty('templates');
+
+    const business = await request(app).get('/api/themes?websiteType=business');
+    expect(business.body.themes.map(theme => theme.id)).not.toContain('vibrant');
+
+    const missing = await request(app).get('/api/themes/nope');
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('validates the requested theme against installed themes', async () => {
+    const unknown = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools', theme: 'nope' });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.details).toMatch(/"theme" must be one of/);
+
+    const unsupported = await request(app)
+      .post('/generate')
+      .send({ biz: 'Acme', niche: 'Tools', theme: 'vibrant', websiteType: 'business' });
+    expect(unsupported.statusCode).toBe(400);
+    expect(unsupported.body.details).toMatch(/does not support business sites/);
+  });
+
+  it('maps the light and dark themes and styles of older clients onto theme packs', async () => {
+    const themeFor = body => generateSchema.validate({ biz: 'Acme', niche: 'Tools', ...body }).value;
+    expect(themeFor({}).theme).toBe('modern');
+    expect(themeFor({ theme: 'light', style: 'minimalist' }).theme).toBe('minimal');
+    expect(themeFor({ style: 'classic' }).theme).toBe('classic');
+    expect(themeFor({ theme: 'dark', style: 'classic' }).theme).toBe('dark');
+    expect(themeFor({ theme: 'vibrant', style: 'classic', websiteType: 'retail' }).theme).toBe('vibrant');
+    expect(themeFor({ style: 'modern' })).not.toHaveProperty('style');
+
+    const res = await request(app).post('/generate').send({ biz: 'Acme', niche: 'Tools', theme: 'light', style: 'classic' });
+    expect(res.statusCode).toBe(200);
+    const project = await request(app).get(`/api/projects/${res.headers['x-project-id']}`);
+    expect(project.body.input.theme).toBe('classic');
+  });
+
+  it('renders a site with the theme variables, fonts and template overrides', async () => {
+    const res = await request(app).post('/generate').send({ biz: 'Old Mill', niche: 'Bakery', theme: 'classic' });
+    expect(res.statusCode).toBe(200);
+
+    const page = await request(app).get(`/api/projects/${res.headers['x-project-id']}/site/index.html`);
+    expect(page.text).toContain('class="theme-classic light-theme"');
+    expect(page.text).toContain('--background: #fdfbf7;');
+    expect(page.text).toContain('--heading-font: \'Playfair Display\', sans-serif;');
+    expect(page.text).toContain('Lora:wght@400');
+    // themes/classic/templates/partials/footer.html
+    expect(page.text).toContain('border-top: 3px double var(--accent-color);');
+  });
+
+  describe('ThemeRegistry', () => {
+    let themesDir;
+
+    beforeEach(() => {
+      themesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'themes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(themesDir, { recursive: true, force: true });
+    });
+
+    function writeTheme(id, manifest, files = {}) {
+      fs.mkdirSync(path.join(themesDir, id));
+      fs.writeFileSync(path.join(themesDir, id, 'theme.json'), JSON.stringify(manifest));
+      for (const [file, source] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(themesDir, id, file)), { recursive: true });
+        fs.writeFileSync(path.join(themesDir, id, file), source);
+      }
+    }
+
+    it('discovers valid manifests and skips invalid ones', () => {
+      writeTheme('ocean', { name: 'Ocean', fonts: { heading: 'Inter', body: 'Inter' } });
+      writeTheme('broken', { name: 'Broken' });
+      fs.mkdirSync(path.join(themesDir, 'not-a-theme'));
+
+      const registry = new ThemeRegistry({ themesDir });
+
+      expect(registry.ids()).toEqual(['ocean']);
+      expect(registry.get('ocean')).toMatchObject({ mode: 'light', variables: {} });
+      expect(registry.get('ocean').websiteTypes).toContain('portfolio');
+      expect(registry.resolve('broken').id).toBe('ocean');
+    });
+
+    it('lets a theme add pages of its own', () => {
+      writeTheme('studio', {
+        name: 'Studio',
+        fonts: { heading: 'Inter', body: 'Inter' },
+        templates: 'templates'
+      }, {
+        'templates/pages/gallery.html': '---\ntitle: Gallery\nnav: Gallery\norder: 4\n---\n<h1>Gallery of {{biz}}</h1>'
+      });
+
+      const engine = new ThemeRegistry({ themesDir }).engineFor('studio');
+      const pages = engine.expandPages().map(page => page.file);
+
+      expect(pages).toEqual(['index.html', 'about.html', 'contact.html', 'gallery.html']);
+    });
+  });
+});
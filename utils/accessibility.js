@@ -0,0 +1,299 @@
+const { Parser } = require('htmlparser2');
+
+// WCAG 2.1 AA minimum contrast ratios
+const NORMAL_TEXT = 4.5;
+const LARGE_TEXT = 3;
+
+const LIGHT_TEXT = '#ffffff';
+const DARK_TEXT = '#111111';
+
+/**
+ * Colour pairs the page styles put on top of each other, as CSS variable
+ * names. `on-*` variables are the text colour on a filled background and
+ * are picked from LIGHT_TEXT or DARK_TEXT rather than nudged.
+ */
+const CONTRAST_PAIRS = [
+  { foreground: 'text-primary', background: 'background', required: NORMAL_TEXT },
+  { foreground: 'text-primary', background: 'surface', required: NORMAL_TEXT },
+  { foreground: 'text-primary', background: 'light-bg', required: NORMAL_TEXT },
+  { foreground: 'text-primary', background: 'nav-background', required: NORMAL_TEXT },
+  { foreground: 'text-secondary', background: 'background', required: NORMAL_TEXT },
+  { foreground: 'text-secondary', background: 'nav-background', required: NORMAL_TEXT },
+  { foreground: 'text-secondary', background: 'surface', required: NORMAL_TEXT },
+  { foreground: 'primary-color', background: 'background', required: NORMAL_TEXT },
+  { foreground: 'primary-color', background: 'light-bg', required: LARGE_TEXT },
+  { foreground: 'primary-color', background: 'surface', required: LARGE_TEXT },
+  { foreground: 'on-primary', background: 'primary-color', required: NORMAL_TEXT },
+  { foreground: 'on-primary', background: 'secondary-color', required: LARGE_TEXT },
+  { foreground: 'on-accent', background: 'accent-color', required: NORMAL_TEXT },
+  { foreground: 'on-footer', background: 'footer-background', required: NORMAL_TEXT }
+];
+
+const NAMED_COLORS = {
+  white: [255, 255, 255],
+  black: [0, 0, 0],
+  transparent: null
+};
+
+// Every colour in a CSS value, as [r, g, b]: one for a plain colour, one per
+// stop for a gradient. Alpha is ignored.
+function parseColors(value) {
+  const tokens = String(value || '').match(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|\b[a-z]+\b/gi) || [];
+  return tokens.map((token) => {
+    if (token.startsWith('#')) {
+      let hex = token.slice(1);
+      if (hex.length === 3 || hex.length === 4) {
+        hex = hex.split('').map(char => char + char).join('');
+      }
+      if (hex.length !== 6 && hex.length !== 8) return null;
+      return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    }
+    if (/^rgba?\(/i.test(token)) {
+      const channels = token.match(/[\d.]+/g) || [];
+      return channels.length >= 3 ? channels.slice(0, 3).map(Number) : null;
+    }
+    return NAMED_COLORS[token.toLowerCase()] || null;
+  }).filter(Boolean);
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Lowest contrast between any colour of one value and any of the other, so
+// text over a gradient is judged against its worst stop
+function worstContrast(foreground, background) {
+  const ratios = parseColors(foreground).flatMap(fg => parseColors(background).map(bg => contrastRatio(fg, bg)));
+  return ratios.length > 0 ? Math.min(...ratios) : null;
+}
+
+// CSS custom properties declared in :root blocks of the page's <style>
+// elements; later declarations win, as in the browser
+function resolvePalette(html) {
+  const palette = {};
+  const styles = [...html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)].map(match => match[1]).join('\n');
+  for (const [, block] of styles.matchAll(/:root\s*{([^}]*)}/g)) {
+    for (const [, name, value] of block.matchAll(/--([\w-]+)\s*:\s*([^;]+);/g)) {
+      palette[name] = value.trim();
+    }
+  }
+  return palette;
+}
+
+// The contrast of every pair the palette defines
+function checkContrast(palette) {
+  return CONTRAST_PAIRS
+    .filter(pair => palette[pair.foreground] && palette[pair.background])
+    .map((pair) => {
+      const ratio = worstContrast(palette[pair.foreground], palette[pair.background]);
+      return {
+        ...pair,
+        ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+        passed: ratio === null || ratio >= pair.required
+      };
+    });
+}
+
+// Mix a colour towards black or white one step at a time until it reaches
+// the required contrast against every colour of the background
+function adjustColor(value, background, required) {
+  const [rgb] = parseColors(value);
+  const backgrounds = parseColors(background);
+  if (!rgb || backgrounds.length === 0) return null;
+
+  const average = backgrounds.reduce((sum, color) => sum + relativeLuminance(color), 0) / backgrounds.length;
+  const target = average > 0.5 ? [0, 0, 0] : [255, 255, 255];
+  for (let step = 1; step <= 20; step++) {
+    const mixed = rgb.map((channel, index) => channel + (target[index] - channel) * (step / 20));
+    if (backgrounds.every(color => contrastRatio(mixed, color) >= required)) {
+      return toHex(mixed);
+    }
+  }
+  return toHex(target);
+}
+
+/**
+ * Palette changes that make every contrast pair pass: text colours are
+ * darkened or lightened away from their background, and `on-*` text colours
+ * switch between light and dark (the filled background is only changed when
+ * neither is readable). Variables in `locked`, such as a brand kit's
+ * colours, are left as they are. Returns { variable: newValue }.
+ */
+function fixPalette(palette, { locked = [] } = {}) {
+  const fixed = { ...palette };
+  const overrides = {};
+  const set = (name, value) => {
+    if (fixed[name] === value || locked.includes(name)) return;
+    fixed[name] = value;
+    overrides[name] = value;
+  };
+
+  for (const pair of CONTRAST_PAIRS.filter(({ foreground }) => !foreground.startsWith('on-'))) {
+    const [result] = checkContrast(fixed).filter(check => check.foreground === pair.foreground && check.background === pair.background);
+    if (result && !result.passed) {
+      const adjusted = adjustColor(fixed[pair.foreground], fixed[pair.background], pair.required);
+      if (adjusted) set(pair.foreground, adjusted);
+    }
+  }
+
+  const onPairs = CONTRAST_PAIRS.filter(({ foreground }) => foreground.startsWith('on-'));
+  for (const name of new Set(onPairs.map(pair => pair.foreground))) {
+    const pairs = onPairs.filter(pair => pair.foreground === name && fixed[pair.background]);
+    const score = text => Math.min(...pairs.map(pair => worstContrast(text, fixed[pair.background]) / pair.required));
+    if (pairs.length === 0 || score(fixed[name] || LIGHT_TEXT) >= 1) continue;
+
+    // When neither is readable, use the text colour that lets the filled
+    // background move away from the page background rather than towards it
+    const pageIsLight = parseColors(fixed.background).every(color => relativeLuminance(color) > 0.5);
+    const best = score(LIGHT_TEXT) >= score(DARK_TEXT) ? LIGHT_TEXT : DARK_TEXT;
+    const text = Math.max(score(LIGHT_TEXT), score(DARK_TEXT)) >= 1 ? best : (pageIsLight ? LIGHT_TEXT : DARK_TEXT);
+    set(name, text);
+    for (const pair of pairs) {
+      if (worstContrast(text, fixed[pair.background]) < pair.required) {
+        const adjusted = adjustColor(fixed[pair.background], text, pair.required);
+        if (adjusted) set(pair.background, adjusted);
+      }
+    }
+  }
+
+  return overrides;
+}
+
+// Elements whose accessible name comes from their text or an attribute
+const NAMED_ELEMENTS = ['a', 'button'];
+const LABELLED_INPUTS = ['input', 'select', 'textarea'];
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+/**
+ * Structural checks on one rendered page: images without alt text, skipped
+ * heading levels, form controls without a label and links or buttons with
+ * no accessible name (icon-only). Returns [{ rule, message }].
+ */
+function auditPage(html) {
+  const issues = [];
+  const labelledIds = new Set();
+  const controls = [];
+  const named = [];
+  let labelDepth = 0;
+  let lastHeading = 0;
+  let sawH1 = false;
+  let skipDepth = 0;
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name === 'script' || name === 'style') {
+        skipDepth++;
+        return;
+      }
+
+      const heading = name.match(/^h([1-6])$/);
+      if (heading) {
+        const level = Number(heading[1]);
+        if (level === 1) sawH1 = true;
+        if (lastHeading && level > lastHeading + 1) {
+          issues.push({ rule: 'heading-order', message: `<h${level}> follows <h${lastHeading}>, skipping a level` });
+        }
+        lastHeading = level;
+      }
+
+      if (name === 'img' && attributes.alt === undefined) {
+        issues.push({ rule: 'img-alt', message: `<img src="${attributes.src || ''}"> has no alt attribute` });
+      } else if (name === 'img' && attributes.alt.trim()) {
+        named.forEach((element) => { element.hasName = true; });
+      }
+
+      if (name === 'label') {
+        labelDepth++;
+        if (attributes.for) labelledIds.add(attributes.for);
+      }
+
+      if (LABELLED_INPUTS.includes(name) && !UNLABELLED_INPUT_TYPES.includes(attributes.type)
+        && attributes['aria-hidden'] !== 'true') {
+        const labelled = labelDepth > 0 || attributes['aria-label'] || attributes['aria-labelledby'] || attributes.title;
+        controls.push({ name: attributes.name || attributes.id || name, id: attributes.id, labelled: Boolean(labelled) });
+      }
+
+      if (NAMED_ELEMENTS.includes(name)) {
+        named.push({
+          name,
+          href: attributes.href,
+          hasName: Boolean(attributes['aria-label'] || attributes['aria-labelledby'] || attributes.title)
+        });
+      }
+    },
+    ontext(text) {
+      if (skipDepth === 0 && text.trim()) {
+        named.forEach((element) => { element.hasName = true; });
+      }
+    },
+    onclosetag(name) {
+      if (name === 'script' || name === 'style') {
+        skipDepth--;
+      } else if (name === 'label') {
+        labelDepth--;
+      } else if (NAMED_ELEMENTS.includes(name)) {
+        const element = named.pop();
+        if (element && !element.hasName) {
+          const target = element.href ? ` to ${element.href}` : '';
+          issues.push({ rule: 'link-name', message: `<${element.name}>${target} has no text or aria-label` });
+        }
+      }
+    }
+  }, { decodeEntities: true });
+  parser.end(html);
+
+  if (!sawH1) {
+    issues.push({ rule: 'heading-order', message: 'page has no <h1>' });
+  }
+  for (const control of controls) {
+    if (!control.labelled && !(control.id && labelledIds.has(control.id))) {
+      issues.push({ rule: 'label', message: `form field "${control.name}" has no label` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Audit a rendered site given as { file: html }. Contrast is checked against
+ * the CSS variables of the first page, which every page shares.
+ */
+function auditSite(pages) {
+  const files = Object.keys(pages).filter(file => file.endsWith('.html'));
+  const palette = files.length > 0 ? resolvePalette(pages[files[0]]) : {};
+  const contrast = checkContrast(palette);
+  const issues = files.flatMap(file => auditPage(pages[file]).map(issue => ({ page: file, ...issue })));
+
+  const issueCount = issues.length + contrast.filter(check => !check.passed).length;
+
+  return {
+    passed: issueCount === 0,
+    issueCount,
+    contrast,
+    issues,
+    palette
+  };
+}
+
+module.exports = {
+  CONTRAST_PAIRS,
+  parseColors,
+  contrastRatio,
+  resolvePalette,
+  checkContrast,
+  fixPalette,
+  auditPage,
+  auditSite
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { languageName, languageDir } = require('./translator');
+const { escapeXml } = require('./escape');
+const { blogSchema, blogPostSchema } = require('../middleware/validation');
+
+const POSTS_PER_PAGE = 5;
+const DAY = 24 * 60 * 60 * 1000;
+
+const POST_SHAPE = `{
+      "title": "Post title",
+      "category": "One-word or two-word category",
+      "excerpt": "One or two sentence summary shown on the blog index",
+      "body": ["Paragraph", "Paragraph", "Paragraph"]
+    }`;
+
+// "Ten Tips for Spring!" -> "ten-tips-for-spring"
+function slugify(text) {
+  const slug = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '');
+  return slug || 'post';
+}
+
+// Slug of `text` that none of `existing` (objects with a slug) uses yet
+function uniqueSlug(text, existing) {
+  const taken = new Set(existing.map(other => other.slug));
+  const base = slugify(text);
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// Give a new post its id, a slug no other post uses and a date. Slugs name
+// the post's files, so they are kept when the post is translated.
+function stampPost(post, existing, date) {
+  const slug = uniqueSlug(post.title, existing);
+  return { ...post, id: uuidv4(), slug, categorySlug: slugify(post.category), date: date.toISOString() };
+}
+
+function buildPostsPrompt({ biz, niche, count, language = 'en' }) {
+  return `Write ${count} blog posts for "${biz}", a business in the "${niche}" industry. Write them in ${languageName(language)}.
+
+Each post should be useful to the business's customers, 3-5 paragraphs long, and specific to the ${niche} industry. Spread the posts over 2-4 categories.
+
+Return a JSON object with this exact structure:
+{
+  "title": "Name of the blog",
+  "intro": "One sentence introducing the blog",
+  "posts": [
+    ${POST_SHAPE}
+  ]
+}
+
+Respond with the JSON object only.`;
+}
+
+function buildPostPrompt({ biz, niche, topic, category, blog, language = 'en' }) {
+  const titles = blog.posts.map(post => `- ${post.title}`).join('\n');
+  return `Write a new blog post for "${biz}", a business in the "${niche}" industry, in ${languageName(language)}.
+${topic ? `\nTopic: ${topic}\n` : ''}${category ? `\nCategory: ${category}\n` : `\nUse one of the blog's categories if it fits: ${[...new Set(blog.posts.map(post => post.category))].join(', ')}\n`}
+Do not repeat these existing posts:
+${titles}
+
+Return a JSON object with this exact structure and nothing else:
+${POST_SHAPE}`;
+}
+
+/**
+ * Prompt the model for a blog of `count` posts. Posts are dated a week
+ * apart, newest first, ending `now`.
+ */
+async function generateBlog({ biz, niche, count, language, provider = getProvider(), now = new Date() }) {
+  const blog = await generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildPostsPrompt({ biz, niche, count, language }) }],
+    validate: parsed => blogSchema.validate(parsed, { abortEarly: false }),
+    temperature: 0.8,
+    fixture: 'blog-posts',
+    context: { biz, niche, count, language }
+  });
+
+  const posts = [];
+  for (const [index, post] of blog.posts.slice(0, count).entries()) {
+    posts.push(stampPost(post, posts, new Date(now.getTime() - index * 7 * DAY)));
+  }
+  return { ...blog, posts };
+}
+
+// Prompt the model for one more post for an existing blog, dated `now`
+async function generatePost({ biz, niche, topic, category, blog, language, provider = getProvider(), now = new Date() }) {
+  const post = await generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildPostPrompt({ biz, niche, topic, category, blog, language }) }],
+    validate: parsed => blogPostSchema.validate(parsed, { abortEarly: false }),
+    temperature: 0.8,
+    fixture: 'blog-post',
+    context: { biz, niche, topic: topic || '', category: category || '' }
+  });
+  return stampPost(category ? { ...post, category } : post, blog.posts, now);
+}
+
+/**
+ * Pages the blog adds to a site, as template collections (see
+ * TemplateEngine.expandPages): `posts` (one page each), `blogPages` (the
+ * paginated index, blog.html then blog-2.html, ...) and `categories`.
+ * Empty when the content has no blog.
+ */
+function blogCollections(blog) {
+  if (!blog || !blog.posts || blog.posts.length === 0) {
+    return {};
+  }
+
+  const posts = [...blog.posts]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(post => ({ ...post, file: `post-${post.slug}.html`, categoryFile: `category-${post.categorySlug}.html` }));
+
+  // Grouped by slug, so the category pages keep their file names in every language
+  const categories = [...new Set(posts.map(post => post.categorySlug))].map((categorySlug) => {
+    const categoryPosts = posts.filter(post => post.categorySlug === categorySlug);
+    return { title: categoryPosts[0].category, file: categoryPosts[0].categoryFile, posts: categoryPosts };
+  });
+
+  const pageCount = Math.ceil(posts.length / POSTS_PER_PAGE);
+  const pageFile = number => (number === 1 ? 'blog.html' : `blog-${number}.html`);
+  const blogPages = Array.from({ length: pageCount }, (unused, index) => ({
+    number: index + 1,
+    file: pageFile(index + 1),
+    posts: posts.slice(index * POSTS_PER_PAGE, (index + 1) * POSTS_PER_PAGE),
+    paginated: pageCount > 1,
+    newer: index > 0 ? pageFile(index) : null,
+    older: index + 1 < pageCount ? pageFile(index + 2) : null
+  }));
+
+  return { posts, blogPages, categories };
+}
+
+// Atom feed of a blog's posts; links are relative unless the site URL is known
+function buildFeed({ biz, blog, siteUrl, feedId, language }) {
+  const { posts } = blogCollections(blog);
+  const base = siteUrl || '';
+  const entries = posts.map(post => `  <entry>
+    <id>${escapeXml(siteUrl ? base + post.file : `urn:uuid:${post.id}`)}</id>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(base + post.file)}"/>
+    <published>${escapeXml(post.date)}</published>
+    <updated>${escapeXml(post.date)}</updated>
+    <category term="${escapeXml(post.category)}"/>
+    <summary>${escapeXml(post.excerpt)}</summary>
+    <content type="html">${escapeXml(post.body.map(paragraph => `<p>${escapeXml(paragraph)}</p>`).join(''))}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(language)}">
+  <id>${escapeXml(siteUrl ? `${base}feed.xml` : `urn:uuid:${feedId}`)}</id>
+  <title>${escapeXml(`${blog.title} - ${biz}`)}</title>
+  <subtitle>${escapeXml(blog.intro)}</subtitle>
+  <link rel="self" href="${escapeXml(`${base}feed.xml`)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${base}blog.html`)}"/>
+  <updated>${escapeXml(posts[0].date)}</updated>
+  <author><name>${escapeXml(biz)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Write feed.xml for each language of a blog site next to that language's
+ * pages. Does nothing for sites without a blog.
+ */
+function writeFeeds(siteDir, { biz, content, translations = {}, languages = ['en'], siteUrl, feedId }) {
+  if (!content.blog) {
+    return;
+  }
+  for (const code of languages) {
+    const dir = languageDir(code, languages);
+    const localized = dir ? translations[code] : content;
+    fs.mkdirSync(path.join(siteDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, dir, 'feed.xml'), buildFeed({
+      biz,
+      blog: localized.blog,
+      siteUrl: siteUrl && siteUrl + dir,
+      feedId,
+      language: code
+    }));
+  }
+}
+
+module.exports = {
+  POSTS_PER_PAGE,
+  slugify,
+  uniqueSlug,
+  generateBlog,
+  generatePost,
+  blogCollections,
+  buildFeed,
+  writeFeeds
+};
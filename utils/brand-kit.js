@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSharp } = require('./image-pipeline');
+const { siteImagePath } = require('./portfolio');
+const logger = require('./logger');
+
+// PNG icons made from the logo: the browser tab icon and the icon iOS uses
+// for home screen bookmarks
+const FAVICONS = [
+  { file: 'favicon-32.png', rel: 'icon', size: 32 },
+  { file: 'apple-touch-icon.png', rel: 'apple-touch-icon', size: 180 }
+];
+
+// Content colours a brand kit can fix, and the CSS variable each one sets
+const BRAND_COLORS = {
+  primary: 'primary-color',
+  secondary: 'secondary-color',
+  accent: 'accent-color'
+};
+
+/**
+ * The brand kit's rules for the content prompt: the exact colours, the
+ * typefaces the copy will be set in and the voice to write it in.
+ */
+function buildBrandPrompt(brandKit) {
+  const { colors, fonts, voice } = brandKit;
+  const rules = [];
+  if (colors) {
+    rules.push(`Use exactly these colors in "colors": ${Object.entries(colors).map(([name, hex]) => `${name} ${hex}`).join(', ')}.`);
+  }
+  if (fonts) {
+    const faces = [fonts.heading && `${fonts.heading} for headings`, fonts.body && `${fonts.body} for body text`].filter(Boolean);
+    rules.push(`The site is set in ${faces.join(' and ')}.`);
+  }
+  if (voice) {
+    rules.push(`Write all of the copy in the brand's voice: ${voice}`);
+  }
+  return `The business has brand guidelines. Follow them:\n\n${rules.map(rule => `- ${rule}`).join('\n')}`;
+}
+
+/**
+ * Put the brand kit's colours into model-written content, over whatever
+ * the model picked. A `palette` taken from an image (see utils/palette.js)
+ * gives the colours the kit leaves out. Content with neither is returned
+ * unchanged.
+ */
+function applyBrandKit(content, brandKit, palette) {
+  const colors = { ...palette, ...(brandKit && brandKit.colors) };
+  if (Object.keys(colors).length === 0 || !content || typeof content !== 'object') {
+    return content;
+  }
+  return { ...content, colors: { ...content.colors, ...colors } };
+}
+
+// CSS variables of the brand kit's colours, which the accessibility pass
+// reports on but must not change
+function lockedColors(brandKit) {
+  return Object.keys((brandKit && brandKit.colors) || {}).map(name => BRAND_COLORS[name]);
+}
+
+// Google Fonts stylesheet for the brand's font families
+function googleFontsUrl(families) {
+  const query = [...new Set(families)]
+    .map(family => `family=${encodeURIComponent(family).replace(/%20/g, '+')}:wght@400;600;700`)
+    .join('&');
+  return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+}
+
+/**
+ * The theme with the brand's fonts in place of its own. Fonts the brand kit
+ * leaves out stay the theme's, still loaded from the theme's stylesheet; the
+ * brand's are loaded from `brandUrl`, the kit's `url` or Google Fonts.
+ */
+function brandTheme(theme, brand) {
+  if (!brand || !brand.fonts) {
+    return theme;
+  }
+
+  const { heading, body, url } = brand.fonts;
+  return {
+    ...theme,
+    fonts: {
+      heading: heading || theme.fonts.heading,
+      body: body || theme.fonts.body,
+      url: heading && body ? undefined : theme.fonts.url,
+      brandUrl: url || googleFontsUrl([heading, body].filter(Boolean))
+    }
+  };
+}
+
+// Square PNG icons from the site's copy of the logo. Without sharp, or for
+// SVG logos, the logo itself is the icon.
+async function writeFavicons(siteDir, logo) {
+  const fallback = [{ rel: 'icon', href: logo, type: path.extname(logo).toLowerCase() === '.svg' ? 'image/svg+xml' : null, sizes: null }];
+  const source = path.join(siteDir, logo);
+  const sharp = /^https?:\/\//i.test(logo) || !fs.existsSync(source) ? null : loadSharp();
+  if (!sharp) {
+    return fallback;
+  }
+
+  try {
+    const icons = [];
+    for (const { file, rel, size } of FAVICONS) {
+      await sharp(source)
+        .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toFile(path.join(siteDir, file));
+      icons.push({ rel, href: file, type: 'image/png', sizes: `${size}x${size}` });
+    }
+    return fallback[0].type ? [...fallback, ...icons] : icons;
+  } catch (error) {
+    logger.warn({ message: 'Could not make favicons from the logo', logo, error: error.message });
+    return fallback;
+  }
+}
+
+/**
+ * What the templates need of a brand kit, once its logo has been copied into
+ * the site: { logo, icons, fonts }. `logo` is the logo's path in the site
+ * (or null), `icons` the favicon links made from it ([{ rel, href, type,
+ * sizes }]) and `fonts` the kit's fonts, if any.
+ */
+async function buildSiteBrand(brandKit, siteDir) {
+  const logo = brandKit.logo ? siteImagePath(brandKit.logo) : null;
+  return {
+    logo,
+    icons: logo ? await writeFavicons(siteDir, logo) : [],
+    fonts: brandKit.fonts || null
+  };
+}
+
+module.exports = {
+  BRAND_COLORS,
+  buildBrandPrompt,
+  applyBrandKit,
+  lockedColors,
+  brandTheme,
+  buildSiteBrand
+};
@@ -0,0 +1,92 @@
+const logger = require('./logger');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Models often wrap JSON in ```json fences or add a sentence around it.
+// Strip the fences and fall back to the outermost {...} block.
+function parseModelJSON(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Model response is not text');
+  }
+
+  let body = text.trim();
+  const fenced = body.match(/```(?:json|JSON)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    body = fenced[1].trim();
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(body.slice(start, end + 1));
+    }
+    throw err;
+  }
+}
+
+function describeErrors(error) {
+  if (error.details) {
+    return error.details.map(detail => `- ${detail.message}`).join('\n');
+  }
+  return `- ${error.message}`;
+}
+
+/**
+ * Ask the provider for JSON content, validate it and, when parsing or
+ * validation fails, send the errors back to the model for a bounded number
+ * of repair rounds. `validate` follows the Joi convention and returns
+ * `{ error, value }`; the validated value (with defaults applied) is returned.
+ */
+async function generateStructuredContent({ provider, messages, validate, fixture, context, temperature, maxRepairs = DEFAULT_MAX_REPAIRS }) {
+  const conversation = [...messages];
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const completion = await provider.complete({
+      messages: conversation,
+      temperature,
+      fixture,
+      context
+    });
+
+    let error;
+    let value;
+    try {
+      const parsed = parseModelJSON(completion);
+      ({ error, value } = validate ? validate(parsed) : { value: parsed });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!error) {
+      return value;
+    }
+
+    lastError = error;
+    logger.warn({
+      message: 'Model returned invalid content',
+      attempt: attempt + 1,
+      errors: describeErrors(error)
+    });
+
+    conversation.push(
+      { role: 'assistant', content: completion },
+      {
+        role: 'user',
+        content: `That response was not valid. Fix these problems and return only the corrected JSON object, with no commentary or code fences:\n${describeErrors(error)}`
+      }
+    );
+  }
+
+  const err = new Error(`Model content failed validation after ${maxRepairs + 1} attempts: ${lastError.message}`);
+  err.details = lastError.details;
+  throw err;
+}
+
+module.exports = {
+  parseModelJSON,
+  generateStructuredContent
+};
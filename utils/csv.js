@@ -0,0 +1,59 @@
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+// newlines and "" for a quote). Blank lines are skipped.
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * CSV text with a header row as an array of objects keyed by the header
+ * names, lowercased and trimmed. Cells are trimmed; empty cells are left out.
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseRows(text);
+  const keys = header.map(name => name.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys
+    .map((key, index) => [key, (cells[index] || '').trim()])
+    .filter(([key, value]) => key && value !== '')));
+}
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,77 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Escaping for the places a value can land in generated markup beyond what
+// Handlebars' own {{value}} covers (element text and quoted attributes).
+// Templates get these as helpers: {{url value}} for href/src/url(...),
+// {{css value}} for a single CSS property value, whether in a <style> block
+// or a style="" attribute, and {{json value}} for data inside a <script>.
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Relative URLs and the schemes above pass; anything else (javascript:,
+// data:, vbscript:...) becomes "#". Quotes, parentheses and whitespace are
+// percent-encoded so the result can't close a url('...') or an attribute.
+function safeUrl(value) {
+  const url = String(value === undefined || value === null ? '' : value).trim();
+  // Browsers ignore tabs and newlines inside a scheme ("java\tscript:")
+  const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[0].toLowerCase())) {
+    return '#';
+  }
+  return url.replace(/[\s'"()\\<>`]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+const CSS_VALUE = /^[\w\s#%.,()+\-/*]*$/;
+const CSS_FUNCTIONS = /(url|expression|image-set|image|element)\s*\(|@import|javascript:/i;
+
+// A CSS value made only of the characters colours, lengths, gradients,
+// shadows and transforms need. Anything that could end the declaration,
+// the rule or the enclosing quote (; { } : quotes, backslashes, angle
+// brackets) or load a resource is dropped, leaving an invalid empty value.
+function cssValue(value) {
+  if (value === undefined || value === null) return '';
+  const css = String(value).trim();
+  if (!CSS_VALUE.test(css) || CSS_FUNCTIONS.test(css)) {
+    return '';
+  }
+  return css;
+}
+
+// JSON that is safe inside <script type="application/ld+json">: nothing in
+// it can close the element or start an HTML comment
+function jsonForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Text and attribute values in generated XML (sitemap.xml)
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+// Free text from a request body, stored as plain text: tags are removed and
+// entities decoded, since escaping happens once, when it is rendered.
+function plainText(value) {
+  const text = sanitizeHtml(String(value), { allowedTags: [], allowedAttributes: {} });
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+module.exports = {
+  safeUrl,
+  cssValue,
+  jsonForScript,
+  escapeXml,
+  plainText
+};
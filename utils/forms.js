@@ -0,0 +1,45 @@
+// Public address of this server, which generated sites post their forms to
+function publicUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+function formEndpoint(siteId) {
+  return `${publicUrl()}/api/forms/${siteId}`;
+}
+
+// Where a retail site's cart page posts its checkout
+function checkoutEndpoint(siteId) {
+  return `${publicUrl()}/api/checkout/${siteId}`;
+}
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a formula
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Submissions as CSV: one row each, with a column for every field name seen
+ * in any submission after the submission id, time and page.
+ */
+function submissionsToCsv(submissions) {
+  const fieldNames = [...new Set(submissions.flatMap(submission => Object.keys(submission.fields)))];
+  const header = ['id', 'submittedAt', 'page', ...fieldNames];
+  const rows = submissions.map(submission => [
+    submission.id,
+    submission.submittedAt,
+    submission.page,
+    ...fieldNames.map(name => submission.fields[name])
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  publicUrl,
+  formEndpoint,
+  checkoutEndpoint,
+  submissionsToCsv
+};
@@ -0,0 +1,95 @@
+const ImageProcessor = require('./image-processor');
+const { getImageGenerator } = require('./image-generators');
+const { slugify } = require('./blog');
+const logger = require('./logger');
+
+// Image requests run at once by default; image APIs rate limit per minute
+const DEFAULT_CONCURRENCY = 2;
+
+// Image models render words badly, so every prompt asks for none
+const NO_TEXT = 'No text, letters or logos in the image.';
+
+/**
+ * Image requests for a generated site's content, one per image slot the
+ * placement step fills (see image-placement.js): a wide banner for the hero,
+ * from its headline and subheading, and a square card image per service,
+ * from its title and description. Returns [{ slot, prompt, size }].
+ */
+function derivePrompts(content, { biz, niche } = {}) {
+  const landing = (content && content.landing) || {};
+  const business = `"${biz}", a ${niche} business`;
+  const requests = [];
+
+  if (landing.hero && landing.hero.headline) {
+    const { headline, subheading } = landing.hero;
+    requests.push({
+      slot: 'hero',
+      prompt: `A wide, photographic website banner for ${business}. It should convey "${headline}"${subheading ? ` (${subheading})` : ''}. ${NO_TEXT}`,
+      size: '1792x1024'
+    });
+  }
+
+  (landing.services || []).forEach((service, index) => {
+    requests.push({
+      slot: `services.${index}`,
+      prompt: `A photographic image for ${business}, illustrating its service "${service.title}"${service.description ? `: ${service.description}` : ''}. ${NO_TEXT}`,
+      size: '1024x1024'
+    });
+  });
+
+  return requests;
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Generate images for each request ({ slot, prompt, size, quality, style, n })
+ * and keep them in storage and the image library like uploads. A request that
+ * fails doesn't stop the others: resolves with [{ slot, prompt, images,
+ * error }] in request order, `images` being the library records and `error`
+ * set only for failures.
+ */
+async function generateImages(requests, {
+  generator = getImageGenerator(),
+  concurrency = Number(process.env.IMAGE_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  storage,
+  library
+} = {}) {
+  return mapWithConcurrency(requests, concurrency, async ({ slot = null, prompt, size, quality, style, n = 1 }) => {
+    try {
+      const generated = await generator.generate({ prompt, size, quality, style, n });
+      const name = slugify(prompt).slice(0, 60).replace(/-+$/, '') || 'generated';
+      const images = [];
+      for (const [index, image] of generated.entries()) {
+        images.push(await ImageProcessor.processUploadedImage({
+          buffer: image.data,
+          originalname: `${name}${generated.length > 1 ? `-${index + 1}` : ''}.${image.extension}`,
+          mimetype: image.contentType
+        }, { storage, library, source: generator.source, prompt: image.revisedPrompt || prompt }));
+      }
+      logger.info({ message: 'Images generated', generator: generator.name, slot, count: images.length });
+      return { slot, prompt, images };
+    } catch (error) {
+      const details = (error.response && error.response.data && error.response.data.error && error.response.data.error.message) || error.message;
+      logger.error({ message: 'Image generation failed', generator: generator.name, slot, error: details });
+      return { slot, prompt, images: [], error: details };
+    }
+  });
+}
+
+module.exports = {
+  derivePrompts,
+  generateImages
+};
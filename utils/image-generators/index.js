@@ -0,0 +1,44 @@
+const OpenAIImageGenerator = require('./openai');
+const PlaceholderImageGenerator = require('./placeholder');
+
+const IMAGE_GENERATORS = ['openai', 'placeholder'];
+
+/**
+ * Build the image generator behind DALL-E requests. The name defaults to
+ * IMAGE_GENERATOR and falls back to 'openai'. Generators implement
+ * generate({ prompt, size, quality, style, n }), resolving with n images
+ * ({ data, contentType, extension, revisedPrompt }), and carry the library
+ * `source` their images are recorded under.
+ */
+function createImageGenerator(name = process.env.IMAGE_GENERATOR || 'openai') {
+  switch (name) {
+    case 'openai':
+      return new OpenAIImageGenerator({ apiKey: process.env.OPENAI_API_KEY, model: process.env.IMAGE_MODEL });
+    case 'placeholder':
+      return new PlaceholderImageGenerator();
+    default:
+      throw new Error(`Unknown image generator "${name}". Expected one of: ${IMAGE_GENERATORS.join(', ')}`);
+  }
+}
+
+let sharedGenerator = null;
+
+function getImageGenerator() {
+  if (!sharedGenerator) {
+    sharedGenerator = createImageGenerator();
+  }
+  return sharedGenerator;
+}
+
+function setImageGenerator(generator) {
+  sharedGenerator = generator;
+}
+
+module.exports = {
+  IMAGE_GENERATORS,
+  createImageGenerator,
+  getImageGenerator,
+  setImageGenerator,
+  OpenAIImageGenerator,
+  PlaceholderImageGenerator
+};
@@ -0,0 +1,96 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'dall-e-3';
+
+// Sizes each model makes
+const MODEL_SIZES = {
+  'dall-e-3': ['1024x1024', '1792x1024', '1024x1792'],
+  'dall-e-2': ['256x256', '512x512', '1024x1024']
+};
+
+/**
+ * The size nearest to `size` that `model` makes: the same shape if it has
+ * one, then the closest in area. Sizes for models not listed are sent as
+ * they are.
+ */
+function fitSize(size, model) {
+  const sizes = MODEL_SIZES[model];
+  if (!sizes || sizes.includes(size)) {
+    return size;
+  }
+
+  const measure = (value) => {
+    const [width, height] = value.split('x').map(Number);
+    return { ratio: Math.log(width / height), area: Math.log(width * height) };
+  };
+  const wanted = measure(size);
+  const gap = (value) => {
+    const { ratio, area } = measure(value);
+    return [Math.abs(ratio - wanted.ratio), Math.abs(area - wanted.area)];
+  };
+  return sizes.reduce((best, candidate) => {
+    const [ratioGap, areaGap] = gap(candidate);
+    const [bestRatioGap, bestAreaGap] = gap(best);
+    return ratioGap < bestRatioGap || (ratioGap === bestRatioGap && areaGap < bestAreaGap) ? candidate : best;
+  });
+}
+
+// Talks to the OpenAI image generations API. Images come back base64
+// encoded rather than as short-lived URLs, so nothing has to be downloaded.
+class OpenAIImageGenerator {
+  constructor({ apiKey, baseURL = DEFAULT_BASE_URL, model = DEFAULT_MODEL, timeout = 120000 } = {}) {
+    if (!apiKey) {
+      throw new Error('OpenAI API key not set');
+    }
+
+    this.name = 'openai';
+    this.source = 'dalle';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async generate({ prompt, size = '1024x1024', quality = 'standard', style = 'vivid', n = 1 }) {
+    // DALL-E 3 makes one image per request and is the only model taking a
+    // quality and style
+    const isDalle3 = this.model === 'dall-e-3';
+    const modelSize = fitSize(size, this.model);
+    const images = [];
+    while (images.length < n) {
+      const body = {
+        model: this.model,
+        prompt,
+        n: isDalle3 ? 1 : n - images.length,
+        size: modelSize,
+        response_format: 'b64_json'
+      };
+      if (isDalle3) {
+        body.quality = quality;
+        body.style = style;
+      }
+
+      const response = await axios.post(`${this.baseURL}/images/generations`, body, {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: this.timeout
+      });
+
+      const data = (response.data && response.data.data) || [];
+      if (data.length === 0) {
+        throw new Error(`No image from ${this.name} generator`);
+      }
+      for (const item of data) {
+        images.push({
+          data: Buffer.from(item.b64_json, 'base64'),
+          contentType: 'image/png',
+          extension: 'png',
+          revisedPrompt: item.revised_prompt || null
+        });
+      }
+    }
+    return images;
+  }
+}
+
+module.exports = OpenAIImageGenerator;
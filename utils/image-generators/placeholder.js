@@ -0,0 +1,75 @@
+const { loadSharp } = require('../image-pipeline');
+const { escapeXml } = require('../escape');
+
+const LINE_LENGTH = 32;
+const MAX_LINES = 5;
+
+// Stable hue for a prompt, so the same prompt always gets the same colours
+function promptHue(prompt) {
+  let hash = 0;
+  for (const char of prompt) {
+    hash = (hash * 31 + char.codePointAt(0)) % 360;
+  }
+  return hash;
+}
+
+function wrap(text, length = LINE_LENGTH) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= length) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  if (lines.length > MAX_LINES) {
+    lines.length = MAX_LINES;
+    lines[MAX_LINES - 1] += '…';
+  }
+  return lines;
+}
+
+// Stands in for an image model during offline development: a gradient in
+// colours picked from the prompt, with the prompt written across it.
+// Rendered to PNG with sharp, or kept as SVG where sharp isn't installed.
+class PlaceholderImageGenerator {
+  constructor() {
+    this.name = 'placeholder';
+    this.source = 'placeholder';
+  }
+
+  svg(prompt, width, height, index = 0) {
+    const hue = (promptHue(prompt) + index * 47) % 360;
+    const fontSize = Math.round(Math.min(width, height) / 20);
+    const lines = wrap(prompt);
+    const top = height / 2 - ((lines.length - 1) * fontSize * 1.3) / 2;
+    const text = lines.map((line, number) =>
+      `<text x="50%" y="${Math.round(top + number * fontSize * 1.3)}">${escapeXml(line)}</text>`
+    ).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+      + '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">'
+      + `<stop offset="0" stop-color="hsl(${hue}, 65%, 55%)"/>`
+      + `<stop offset="1" stop-color="hsl(${(hue + 60) % 360}, 65%, 30%)"/>`
+      + '</linearGradient></defs>'
+      + `<rect width="${width}" height="${height}" fill="url(#g)"/>`
+      + `<g fill="#fff" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${text}</g>`
+      + '</svg>';
+  }
+
+  async generate({ prompt, size = '1024x1024', n = 1 }) {
+    const [width, height] = size.split('x').map(Number);
+    const sharp = loadSharp();
+    const images = [];
+    for (let index = 0; index < n; index++) {
+      const svg = Buffer.from(this.svg(prompt, width, height, index));
+      images.push(sharp
+        ? { data: await sharp(svg).png().toBuffer(), contentType: 'image/png', extension: 'png', revisedPrompt: null }
+        : { data: svg, contentType: 'image/svg+xml', extension: 'svg', revisedPrompt: null });
+    }
+    return images;
+  }
+}
+
+module.exports = PlaceholderImageGenerator;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_ROOT = path.join(__dirname, '../generated/images');
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const IMAGE_SOURCES = ['upload', 'dalle', 'placeholder', 'url'];
+
+// File-backed record of every image kept in storage, one <root>/<id>.json
+// each. The image data stays with the storage driver; a record points at it
+// by key and holds what the library shows and searches on: where the image
+// came from, its size, alt text and tags.
+class ImageLibrary {
+  constructor({ rootDir = process.env.IMAGE_LIBRARY_DIR || DEFAULT_ROOT } = {}) {
+    this.rootDir = rootDir;
+  }
+
+  recordPath(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid image id: ${id}`);
+    }
+    return path.join(this.rootDir, `${id}.json`);
+  }
+
+  add({ key, url, filename, source = 'upload', prompt = null, width = null, height = null, format = null, size = null, metadataStripped = null, alt = '', tags = [] }) {
+    const now = new Date().toISOString();
+    const image = {
+      id: uuidv4(),
+      key,
+      url,
+      filename,
+      source,
+      prompt,
+      width,
+      height,
+      format,
+      size,
+      metadataStripped,
+      alt,
+      tags,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+    return this.save(image);
+  }
+
+  save(image) {
+    image.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.recordPath(image.id), JSON.stringify(image, null, 2));
+    return image;
+  }
+
+  get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+    const file = this.recordPath(id);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // The record of an image by its storage URL, as sent in a generation's
+  // `images`; null for images that never went through the library
+  findByUrl(url) {
+    return this.list().find(image => image.url === url) || null;
+  }
+
+  // Alt text and tags are the only fields that change after an upload
+  update(id, { alt, tags }) {
+    const image = this.get(id);
+    if (!image) {
+      throw new Error(`Image not found: ${id}`);
+    }
+    if (alt !== undefined) image.alt = alt;
+    if (tags !== undefined) image.tags = tags;
+    return this.save(image);
+  }
+
+  delete(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+    fs.rmSync(this.recordPath(id), { force: true });
+    return true;
+  }
+
+  // Every image, newest first
+  list() {
+    if (!fs.existsSync(this.rootDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.rootDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Images matching every word of `q` (in the file name, alt text, tags or
+   * DALL-E prompt), carrying `tag` and from `source`, newest first. Returns
+   * the `limit` images after `offset` and the number that matched.
+   */
+  search({ q = '', tag, source, limit = 50, offset = 0 } = {}) {
+    const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = this.list().filter((image) => {
+      if (tag && !image.tags.includes(tag)) return false;
+      if (source && image.source !== source) return false;
+      const text = [image.filename, image.alt, image.prompt, ...image.tags].filter(Boolean).join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+    return { images: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  // Every tag in use, with how many images carry it, most used first
+  tags() {
+    const counts = new Map();
+    for (const image of this.list()) {
+      for (const tag of image.tags) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+}
+
+const imageLibrary = new ImageLibrary();
+
+module.exports = {
+  IMAGE_SOURCES,
+  ImageLibrary,
+  imageLibrary
+};
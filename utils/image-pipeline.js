@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { uniqueSlug } = require('./blog');
+
+// Widths (px) of the responsive copies made of each image in a site, and the
+// formats they are encoded in, best first. Browsers that support neither get
+// a JPEG (PNG for images with transparency) at the largest width.
+const RESPONSIVE_WIDTHS = [400, 800, 1200];
+const RESPONSIVE_FORMATS = ['avif', 'webp'];
+const RESPONSIVE_DIR = 'images/responsive';
+
+// Formats sharp can re-encode; anything else (SVG, GIF) is used as it is
+const PROCESSABLE_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff'];
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const EXTENSIONS = { jpeg: 'jpg' };
+
+const ENCODER_OPTIONS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 },
+  jpeg: { quality: 80, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+// sharp is a native module; without it images are used unprocessed. The
+// module (or null) is kept after the first try, so the warning is logged once.
+let sharpModule;
+
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      logger.warn('sharp is not available; images are used as uploaded', { error: error.message });
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * An uploaded image without its metadata (EXIF, GPS, camera details),
+ * rotated upright first since the orientation is metadata too, in the same
+ * format. Resolves with { data, info: { width, height, format }, stripped };
+ * when sharp is missing or can't re-encode the image, `data` is the image
+ * unchanged, metadata and all, `info` null and `stripped` false. Data sharp
+ * can't read as an image at all is rejected with status 415 rather than
+ * stored.
+ */
+async function stripMetadata(data) {
+  const sharp = loadSharp();
+  if (!sharp) {
+    return { data, info: null, stripped: false };
+  }
+  const metadata = await sharp(data).metadata().catch(() => null);
+  if (!metadata) {
+    const err = new Error('File is not an image that can be read');
+    err.status = 415;
+    throw err;
+  }
+  if (!PROCESSABLE_FORMATS.includes(metadata.format)) {
+    return { data, info: null, stripped: false };
+  }
+
+  const { data: stripped, info } = await sharp(data).rotate().toBuffer({ resolveWithObject: true });
+  return { data: stripped, info: { width: info.width, height: info.height, format: info.format }, stripped: true };
+}
+
+// The widths to make of an image `width` px wide: each standard width below
+// it, then the image's own width capped at the largest
+function widthsFor(width) {
+  const largest = Math.min(width, RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]);
+  return [...RESPONSIVE_WIDTHS.filter(size => size < largest), largest];
+}
+
+async function writeVariants(sharp, siteDir, image, name) {
+  const source = path.join(siteDir, image);
+  const metadata = await sharp(source).metadata();
+  if (!PROCESSABLE_FORMATS.includes(metadata.format)) {
+    return null;
+  }
+
+  const widths = widthsFor(metadata.width);
+  const fallback = metadata.hasAlpha ? 'png' : 'jpeg';
+  const encode = (format, width) => {
+    const src = `${RESPONSIVE_DIR}/${name}-${width}.${EXTENSIONS[format] || format}`;
+    return sharp(source)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })[format](ENCODER_OPTIONS[format])
+      .toFile(path.join(siteDir, src))
+      .then(info => ({ src, width: info.width, height: info.height }));
+  };
+
+  const sources = [];
+  for (const format of RESPONSIVE_FORMATS) {
+    const sizes = [];
+    for (const width of widths) {
+      sizes.push(await encode(format, width));
+    }
+    sources.push({ type: MIME_TYPES[format], srcset: sizes.map(size => `${size.src} ${size.width}w`).join(', ') });
+  }
+  const { src, width, height } = await encode(fallback, widths[widths.length - 1]);
+  return { src, width, height, sources };
+}
+
+/**
+ * Write responsive copies of the images copied into a site (paths under
+ * images/) to images/responsive/: RESPONSIVE_WIDTHS wide in each of
+ * RESPONSIVE_FORMATS plus a fallback, without metadata. Returns { image:
+ * { src, width, height, sources: [{ type, srcset }] } } for the `picture`
+ * partial; images that can't be processed (or every image, when sharp isn't
+ * installed) are left out and shown as they are.
+ */
+async function writeResponsiveImages(siteDir, images) {
+  const pending = [...new Set(images)].filter(image => image.startsWith('images/') && fs.existsSync(path.join(siteDir, image)));
+  if (pending.length === 0) {
+    return {};
+  }
+  const sharp = loadSharp();
+  if (!sharp) {
+    return {};
+  }
+
+  fs.mkdirSync(path.join(siteDir, RESPONSIVE_DIR), { recursive: true });
+  const responsive = {};
+  const named = [];
+  for (const image of pending) {
+    // "images/1712345678-Harbour_House.jpg" -> "harbour-house"
+    const slug = uniqueSlug(path.parse(image).name.replace(/^\d+-/, ''), named);
+    named.push({ slug });
+    try {
+      const variants = await writeVariants(sharp, siteDir, image, slug);
+      if (variants) responsive[image] = variants;
+    } catch (error) {
+      logger.warn('Could not create responsive images', { image, error: error.message });
+    }
+  }
+  return responsive;
+}
+
+module.exports = {
+  RESPONSIVE_WIDTHS,
+  RESPONSIVE_FORMATS,
+  loadSharp,
+  stripMetadata,
+  writeResponsiveImages
+};
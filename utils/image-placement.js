@@ -0,0 +1,171 @@
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { languageName } = require('./translator');
+const { siteImagePath, imageHint } = require('./portfolio');
+const { imageLibrary } = require('./image-library');
+const logger = require('./logger');
+const { imagePlacementSchema } = require('../middleware/validation');
+
+// The slots a site's content offers, described for the model: the hero and
+// about section, then a card per service and a photo per team member
+function imageSlots(content) {
+  return [
+    { slot: 'hero', description: `full-width background behind the headline "${content.landing.hero.headline}"` },
+    { slot: 'about', description: 'photo next to the company story on the About page' },
+    ...content.landing.services.map((service, index) => ({
+      slot: `services.${index}`,
+      description: `card for the service "${service.title}"`
+    })),
+    ...(content.about.team || []).map((member, index) => ({
+      slot: `team.${index}`,
+      description: `portrait of ${member.name}${member.position ? `, ${member.position}` : ''}`
+    }))
+  ];
+}
+
+// The object in the content a slot's image and alt text are set on
+function slotTarget(content, slot) {
+  const [name, index] = slot.split('.');
+  const landing = content.landing || {};
+  const about = content.about || {};
+  switch (name) {
+    case 'hero':
+      return landing.hero;
+    case 'about':
+      return content.about;
+    case 'services':
+      return (landing.services || [])[index];
+    case 'team':
+      return (about.team || [])[index];
+    default:
+      return undefined;
+  }
+}
+
+function buildPlacementPrompt({ biz, niche, images, slots, language = 'en' }) {
+  const slotList = slots.map(({ slot, description }) => `- ${slot}: ${description}`).join('\n');
+  const imageList = images.map((image, index) => {
+    const details = [
+      image.alt && `alt text: "${image.alt}"`,
+      image.tags.length > 0 && `tags: ${image.tags.join(', ')}`,
+      image.slot && `already placed in ${image.slot}`
+    ].filter(Boolean);
+    return `${index + 1}. ${image.hint || 'untitled'}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+  }).join('\n');
+
+  return `"${biz}" is a ${niche} business. Its website has these places for images:
+
+${slotList}
+
+The owner supplied these ${images.length} images. The file names, and any alt text or tags, hint at what each image shows:
+
+${imageList}
+
+Put each image that isn't placed yet in the slot it suits best, using every slot at most once, or in no slot (null) when none suits it. Write alt text in ${languageName(language)} for every image: a short description of what it shows, for screen reader users.
+
+Return a JSON object with this exact structure:
+{
+  "images": [
+    {"image": 1, "slot": "hero", "alt": "Short description of the image"}
+  ]
+}
+
+Respond with the JSON object only.`;
+}
+
+/**
+ * Decide where a site's images go. `placements` ([{ slot, image, alt }], from
+ * the request) are kept; the model places the other images and writes alt
+ * text for any image without it, preferring alt text and tags set in the
+ * image library. Resolves with [{ slot, image, src, alt }]: the image's URL,
+ * its path in the site and its alt text. Images that suit no slot are left
+ * out.
+ */
+async function placeImages({ biz, niche, images, placements = [], content, language, provider = getProvider(), library = imageLibrary }) {
+  const slots = imageSlots(content);
+  const slotNames = slots.map(({ slot }) => slot);
+  const fixed = new Map();
+  for (const placement of placements) {
+    if (slotNames.includes(placement.slot)) {
+      fixed.set(placement.image, placement);
+    } else {
+      logger.warn({ message: 'Image placed in a slot the content does not have', slot: placement.slot, image: placement.image });
+    }
+  }
+
+  const described = images.map((url) => {
+    const record = library.findByUrl(url);
+    const placement = fixed.get(url);
+    return {
+      url,
+      hint: imageHint(url),
+      alt: (placement && placement.alt) || (record && record.alt) || '',
+      tags: record ? record.tags : [],
+      slot: placement ? placement.slot : null
+    };
+  });
+
+  // The model only needs asking when an image is unplaced or has no alt text
+  let answers = [];
+  if (described.some(image => !image.slot || !image.alt)) {
+    const result = await generateStructuredContent({
+      provider,
+      messages: [{ role: 'user', content: buildPlacementPrompt({ biz, niche, images: described, slots, language }) }],
+      validate: (parsed) => {
+        const validated = imagePlacementSchema.validate(parsed, { abortEarly: false });
+        const missing = described.findIndex((image, index) => !validated.error && !validated.value.images.some(entry => entry.image === index + 1));
+        if (missing !== -1) {
+          return { error: new Error(`"images" must have an entry for image ${missing + 1}`) };
+        }
+        return validated;
+      },
+      temperature: 0.3,
+      fixture: 'image-placement',
+      context: { biz, niche, language }
+    });
+    answers = result.images;
+  }
+
+  // Slots the model picked that don't exist or are taken leave the image out
+  const taken = new Set(described.map(image => image.slot).filter(Boolean));
+  return described.flatMap((image, index) => {
+    const answer = answers.find(entry => entry.image === index + 1) || {};
+    let { slot } = image;
+    if (!slot) {
+      if (!slotNames.includes(answer.slot) || taken.has(answer.slot)) {
+        return [];
+      }
+      slot = answer.slot;
+      taken.add(slot);
+    }
+    return [{ slot, image: image.url, src: siteImagePath(image.url), alt: image.alt || answer.alt || image.hint }];
+  });
+}
+
+/**
+ * Content with each placed image set on its slot as `image` (the path in the
+ * site) and `imageAlt`. Placements whose slot the content no longer has,
+ * such as a team member removed since, are skipped.
+ */
+function applyImagePlacements(content, placements) {
+  if (!placements || placements.length === 0 || !content || typeof content !== 'object') {
+    return content;
+  }
+
+  const placed = JSON.parse(JSON.stringify(content));
+  for (const { slot, src, alt } of placements) {
+    const target = slotTarget(placed, slot);
+    if (target) {
+      target.image = src;
+      target.imageAlt = alt;
+    }
+  }
+  return placed;
+}
+
+module.exports = {
+  imageSlots,
+  buildPlacementPrompt,
+  placeImages,
+  applyImagePlacements
+};
@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+const DEFAULT_TTL = 60 * 60 * 1000; // keep finished jobs for 1 hour
+
+// In-memory registry of background jobs. Each job runs an async task that
+// reports progress through a callback; every state change is emitted under
+// the job's id so listeners (e.g. SSE streams) can follow a single job.
+class JobManager extends EventEmitter {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.ttl = ttl;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start `task(report)` in the background and return the job right away.
+   * `report(stage, progress)` updates the job; the task's resolved value is
+   * kept as the job result. `cleanup(result)` runs when the job expires.
+   */
+  create(task, { cleanup } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+
+    const report = (stage, progress) => {
+      this.update(job, { status: 'running', stage, progress });
+    };
+
+    setImmediate(async () => {
+      try {
+        const result = await task(report);
+        job.result = result;
+        this.update(job, { status: 'completed', stage: 'done', progress: 100 });
+      } catch (error) {
+        logger.error({ message: 'Job failed', jobId: job.id, error: error.message });
+        this.update(job, { status: 'failed', error: error.message });
+      } finally {
+        this.scheduleExpiry(job, cleanup);
+      }
+    });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit(job.id, this.serialize(job));
+  }
+
+  scheduleExpiry(job, cleanup) {
+    const timer = setTimeout(() => {
+      this.jobs.delete(job.id);
+      if (cleanup && job.result) {
+        try {
+          cleanup(job.result);
+        } catch (error) {
+          logger.warn({ message: 'Job cleanup failed', jobId: job.id, error: error.message });
+        }
+      }
+    }, this.ttl);
+    timer.unref();
+  }
+
+  // Public view of a job; results stay server-side
+  serialize(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+module.exports = JobManager;
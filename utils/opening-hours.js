@@ -0,0 +1,179 @@
+// Parse the free-text opening hours the model writes ("Mon-Fri: 9AM-5PM,
+// Sat: 10am-2pm, Sun: Closed") into one row per weekday, Monday first
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const DAY_GROUPS = {
+  daily: EVERY_DAY,
+  'every day': EVERY_DAY,
+  'seven days': EVERY_DAY,
+  weekdays: [0, 1, 2, 3, 4],
+  weekends: [5, 6],
+  weekend: [5, 6]
+};
+
+// "Mon", "tues", "Thursday" -> 0-6; -1 for anything else
+function dayIndex(token) {
+  const word = token.toLowerCase().replace(/\.$/, '');
+  if (word === 'weds') return 2;
+  return word.length < 2 ? -1 : DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(word));
+}
+
+// "Mon-Fri", "Sat & Sun", "Fri to Mon" -> day indexes; null if unreadable
+function parseDays(text) {
+  const group = DAY_GROUPS[text.toLowerCase()];
+  if (group) return group;
+
+  const days = [];
+  for (const part of text.split(/\s*(?:&|\/|\band\b)\s*/i).filter(Boolean)) {
+    const ends = part.split(/\s*(?:-|–|—|\bto\b|\bthrough\b|\bthru\b)\s*/i).map(dayIndex);
+    if (ends.length > 2 || ends.includes(-1)) return null;
+    const [from, to = from] = ends;
+    // Ranges may wrap past Sunday: Fri-Mon
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === to) break;
+    }
+  }
+  return days.length > 0 ? days : null;
+}
+
+// "9", "9:30am", "17.00", "noon" -> { minutes, meridiem }; null if unreadable
+function parseTime(text) {
+  const value = text.toLowerCase().replace(/\s+/g, '').replace(/([ap])\.?m?\.?$/, '$1m').replace('.', ':');
+  if (value === 'noon' || value === 'midday') return { minutes: 12 * 60, meridiem: 'pm' };
+  if (value === 'midnight') return { minutes: 0, meridiem: 'am' };
+
+  const match = value.match(/^(\d{1,2})(?:[:h](\d{2}))?(am|pm|a|p)?$/);
+  if (!match) return null;
+  const [, hours, minutes = '0', meridiem] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || (meridiem && Number(hours) > 12)) return null;
+  return { hours: Number(hours), minutes: Number(hours) * 60 + Number(minutes), meridiem: meridiem && `${meridiem[0]}m` };
+}
+
+// Minutes past midnight, reading an hour without am/pm as `meridiem`
+function toMinutes(time, meridiem) {
+  if (!meridiem || time.hours === undefined) return time.minutes;
+  const hours = time.hours % 12 + (meridiem === 'pm' ? 12 : 0);
+  return hours * 60 + time.minutes % 60;
+}
+
+const clock = minutes => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// "11am-2pm & 5-10pm" -> [{ opens: '11:00', closes: '14:00' }, ...]; [] when
+// closed, null if unreadable
+function parseIntervals(text) {
+  if (/^closed$/i.test(text)) return [];
+
+  const intervals = [];
+  for (const part of text.split(/\s*(?:,|&|\/|\band\b)\s*/i).filter(Boolean)) {
+    const ends = part.split(/\s*(?:-|–|—|\bto\b|\buntil\b)\s*/i);
+    if (ends.length !== 2) return null;
+    const [open, close] = ends.map(parseTime);
+    if (!open || !close) return null;
+
+    // "5-10pm": the opening time takes the closing time's am/pm unless that
+    // puts it after closing ("11-2pm" is 11am to 2pm)
+    let opens = toMinutes(open, open.meridiem || close.meridiem);
+    const closes = toMinutes(close, close.meridiem);
+    if (!open.meridiem && close.meridiem && opens > closes) {
+      opens = toMinutes(open, close.meridiem === 'pm' ? 'am' : 'pm');
+    }
+    // "9-5" with neither: a closing hour before opening is in the afternoon
+    const closesAt = !open.meridiem && !close.meridiem && closes <= opens && closes < 12 * 60 ? closes + 12 * 60 : closes;
+    intervals.push({ opens: clock(opens), closes: clock(closesAt) });
+  }
+  return intervals;
+}
+
+/**
+ * Opening hours as seven rows, Monday first: [{ day: 0-6, intervals:
+ * [{ opens: 'HH:MM', closes: 'HH:MM' }] }]. Days the text doesn't mention
+ * are closed, and later parts override earlier ones ("Daily 9-5; Sun
+ * closed"). Returns null when any part can't be read, so callers can fall
+ * back to showing the text as written.
+ */
+function parseHours(text) {
+  if (!text || !text.trim()) return null;
+
+  // Commas separate both day groups and the times within one; a piece
+  // without days continues the previous group, a piece without times
+  // ("Mon, Wed: 9-5") joins the next one
+  const groups = [];
+  let pendingDays = [];
+  for (const piece of text.split(/\s*[;,\n|]\s*/).filter(Boolean)) {
+    const split = piece.search(/\d|\b(closed|noon|midday|midnight)\b/i);
+    const days = (split < 0 ? piece : piece.slice(0, split)).replace(/^open\s+/i, '').replace(/[\s:]+$/, '');
+    const times = split < 0 ? '' : piece.slice(split).trim();
+    if (!days) {
+      if (groups.length === 0) return null;
+      groups[groups.length - 1].times.push(times);
+    } else if (!times) {
+      pendingDays.push(days);
+    } else {
+      groups.push({ days: [...pendingDays, days], times: [times] });
+      pendingDays = [];
+    }
+  }
+  if (groups.length === 0 || pendingDays.length > 0) return null;
+
+  const week = DAY_NAMES.map((name, day) => ({ day, intervals: [] }));
+  for (const group of groups) {
+    const days = group.days.map(parseDays);
+    const intervals = group.times.map(parseIntervals);
+    if (days.includes(null) || intervals.includes(null)) return null;
+    for (const day of days.flat()) {
+      week[day].intervals = intervals.flat();
+    }
+  }
+  return week;
+}
+
+/**
+ * Rows for the opening hours table, with day names and times in the page's
+ * language: [{ day: 'Monday', hours: '9:00 AM – 5:00 PM' }]; `hours` is
+ * empty on closed days. Null when the hours can't be parsed.
+ */
+function openingHoursTable(text, locale = 'en') {
+  const week = parseHours(text);
+  if (!week) return null;
+
+  let dayFormat;
+  let timeFormat;
+  try {
+    dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+    timeFormat = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+  } catch (error) {
+    dayFormat = new Intl.DateTimeFormat('en', { weekday: 'long', timeZone: 'UTC' });
+    timeFormat = new Intl.DateTimeFormat('en', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+  }
+  // 1 January 2024 was a Monday
+  const time = value => timeFormat.format(new Date(`2024-01-01T${value}:00Z`));
+
+  return week.map(({ day, intervals }) => ({
+    day: dayFormat.format(new Date(Date.UTC(2024, 0, 1 + day))),
+    hours: intervals.map(({ opens, closes }) => `${time(opens)} – ${time(closes)}`).join(', ')
+  }));
+}
+
+// schema.org OpeningHoursSpecification entries, days with the same hours
+// grouped together; empty when the hours can't be parsed
+function openingHoursSpecification(text) {
+  const specs = new Map();
+  for (const { day, intervals } of parseHours(text) || []) {
+    for (const { opens, closes } of intervals) {
+      const key = `${opens}-${closes}`;
+      if (!specs.has(key)) {
+        specs.set(key, { '@type': 'OpeningHoursSpecification', dayOfWeek: [], opens, closes });
+      }
+      specs.get(key).dayOfWeek.push(DAY_NAMES[day]);
+    }
+  }
+  return [...specs.values()];
+}
+
+module.exports = {
+  parseHours,
+  openingHoursTable,
+  openingHoursSpecification
+};
@@ -0,0 +1,198 @@
+const { loadSharp } = require('./image-pipeline');
+const { getStorage } = require('./storage');
+const { imageLibrary } = require('./image-library');
+const logger = require('./logger');
+
+// Images are scaled down to at most this many pixels a side before their
+// colours are clustered
+const SAMPLE_SIZE = 64;
+const CLUSTERS = 6;
+const ITERATIONS = 10;
+
+// Hues closer than this to the primary colour's count as the same colour
+const DISTINCT_HUE = 30;
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+function rgbToHsl([r, g, b]) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) h = (green - blue) / d + (green < blue ? 6 : 0);
+  else if (max === green) h = (blue - red) / d + 2;
+  else h = (red - green) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+function hslToRgb({ h, s, l }) {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+function hueGap(a, b) {
+  const gap = Math.abs(a.h - b.h) % 360;
+  return Math.min(gap, 360 - gap);
+}
+
+/**
+ * The dominant colours of a set of [r, g, b] pixels, by k-means. The
+ * clusters are seeded with the colours furthest apart, so the same image
+ * always gives the same palette. Returns [{ rgb, count }], most common first.
+ */
+function clusterColors(pixels, k = CLUSTERS) {
+  if (pixels.length === 0) {
+    return [];
+  }
+
+  const centers = [pixels[0]];
+  while (centers.length < k) {
+    let farthest = null;
+    let farthestDistance = 0;
+    for (const pixel of pixels) {
+      const nearest = Math.min(...centers.map(center => distance(pixel, center)));
+      if (nearest > farthestDistance) {
+        farthest = pixel;
+        farthestDistance = nearest;
+      }
+    }
+    if (!farthest) break;
+    centers.push(farthest);
+  }
+
+  let assignments = [];
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    assignments = pixels.map((pixel) => {
+      let best = 0;
+      centers.forEach((center, index) => {
+        if (distance(pixel, center) < distance(pixel, centers[best])) best = index;
+      });
+      return best;
+    });
+    centers.forEach((center, index) => {
+      const members = pixels.filter((pixel, pixelIndex) => assignments[pixelIndex] === index);
+      if (members.length > 0) {
+        centers[index] = [0, 1, 2].map(channel => members.reduce((sum, pixel) => sum + pixel[channel], 0) / members.length);
+      }
+    });
+  }
+
+  return centers
+    .map((rgb, index) => ({ rgb, count: assignments.filter(assigned => assigned === index).length }))
+    .filter(cluster => cluster.count > 0)
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Site colours from an image's dominant colours. Near-white, near-black and
+ * grey swatches are page backgrounds and text rather than brand colours, so
+ * primary is the most common colourful swatch, accent the most common one of
+ * a clearly different hue and secondary the next most common. Colours the
+ * image doesn't have are derived from primary: a darker shade for secondary,
+ * the complementary hue for accent.
+ */
+function pickColors(swatches) {
+  const described = swatches.map(swatch => ({ ...swatch, hsl: rgbToHsl(swatch.rgb) }));
+  const colorful = described.filter(({ hsl }) => hsl.s >= 0.2 && hsl.l >= 0.12 && hsl.l <= 0.88);
+  const [primary, ...others] = colorful.length > 0 ? colorful : described;
+
+  const accent = others.find(swatch => hueGap(swatch.hsl, primary.hsl) >= DISTINCT_HUE);
+  const secondary = others.find(swatch => swatch !== accent);
+  return {
+    primary: toHex(primary.rgb),
+    secondary: secondary ? toHex(secondary.rgb) : toHex(hslToRgb({ ...primary.hsl, l: primary.hsl.l * 0.7 })),
+    accent: accent ? toHex(accent.rgb) : toHex(hslToRgb({ ...primary.hsl, h: (primary.hsl.h + 180) % 360 }))
+  };
+}
+
+/**
+ * The palette of an image: { primary, secondary, accent, swatches }, where
+ * `swatches` are its dominant colours with the share of the image each
+ * covers ([{ color, share }], most common first). Transparent pixels, such
+ * as the background of a logo, are left out. Needs sharp.
+ */
+async function extractPalette(data, { sharp = loadSharp() } = {}) {
+  if (!sharp) {
+    const err = new Error('Palette extraction needs sharp, which is not installed');
+    err.status = 503;
+    throw err;
+  }
+
+  const { data: raw, info } = await sharp(data)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = [];
+  for (let offset = 0; offset < raw.length; offset += info.channels) {
+    if (raw[offset + 3] >= 128) {
+      pixels.push([raw[offset], raw[offset + 1], raw[offset + 2]]);
+    }
+  }
+
+  const swatches = clusterColors(pixels);
+  if (swatches.length === 0) {
+    const err = new Error('Image has no opaque pixels to take colours from');
+    err.status = 422;
+    throw err;
+  }
+  return {
+    ...pickColors(swatches),
+    swatches: swatches.map(({ rgb, count }) => ({ color: toHex(rgb), share: Math.round((count / pixels.length) * 100) / 100 }))
+  };
+}
+
+// An image library record's palette, extracted from the stored image the
+// first time and kept on the record after that
+async function imagePalette(image, { storage = getStorage(), library = imageLibrary } = {}) {
+  if (!image.palette) {
+    image.palette = await extractPalette(await storage.get(image.key));
+    library.save(image);
+  }
+  return image.palette;
+}
+
+/**
+ * Site colours ({ primary, secondary, accent }) from the image at a storage
+ * URL, as sent in a generation's `paletteFrom`. Resolves with null when the
+ * colours can't be had (not a stored image, no sharp), so the model's
+ * colours are used instead.
+ */
+async function paletteForUrl(url, { storage = getStorage(), library = imageLibrary } = {}) {
+  try {
+    const image = library.findByUrl(url) || { key: storage.keyFromUrl(url) };
+    if (!image.key) {
+      throw new Error('not an image in storage');
+    }
+    const { primary, secondary, accent } = image.id
+      ? await imagePalette(image, { storage, library })
+      : await extractPalette(await storage.get(image.key));
+    return { primary, secondary, accent };
+  } catch (error) {
+    logger.warn({ message: 'Could not take the site palette from an image', url, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  clusterColors,
+  pickColors,
+  extractPalette,
+  imagePalette,
+  paletteForUrl
+};
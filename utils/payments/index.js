@@ -0,0 +1,54 @@
+const StubPaymentProvider = require('./stub');
+const StripePaymentProvider = require('./stripe');
+const { publicUrl } = require('../forms');
+
+const PAYMENT_PROVIDERS = ['stub', 'stripe'];
+
+/**
+ * Build the payment provider retail sites check out with. The name defaults
+ * to PAYMENT_PROVIDER and falls back to 'stub'. Providers implement
+ * createPaymentLink({ reference, siteId, currency, items: [{ name,
+ * unitAmount, quantity }], successUrl, cancelUrl }), resolving with the
+ * { id, url } of a payment page; amounts are in the currency's minor unit.
+ */
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'stub') {
+  switch (name) {
+    case 'stub':
+      return new StubPaymentProvider({ baseUrl: publicUrl() });
+    case 'stripe':
+      return new StripePaymentProvider({ apiKey: process.env.STRIPE_SECRET_KEY });
+    default:
+      throw new Error(`Unknown payment provider "${name}". Expected one of: ${PAYMENT_PROVIDERS.join(', ')}`);
+  }
+}
+
+// An amount in the currency's minor unit: 12.5 USD -> 1250, 500 JPY -> 500
+function minorUnits(amount, currency) {
+  const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+  return Math.round(amount * 10 ** maximumFractionDigits);
+}
+
+let sharedProvider = null;
+
+// Process-wide provider, created on first checkout so a missing key only
+// fails checkouts
+function getPaymentProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createPaymentProvider();
+  }
+  return sharedProvider;
+}
+
+function setPaymentProvider(provider) {
+  sharedProvider = provider;
+}
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  createPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  minorUnits,
+  StubPaymentProvider,
+  StripePaymentProvider
+};
@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.stripe.com/v1';
+
+// Hands checkouts to Stripe Checkout: each cart becomes a Checkout Session
+// whose hosted payment page the visitor is sent to.
+class StripePaymentProvider {
+  constructor({ apiKey, baseURL = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    if (!apiKey) {
+      throw new Error('Stripe secret key not set');
+    }
+
+    this.name = 'stripe';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async createPaymentLink({ reference, siteId, currency, items, successUrl, cancelUrl }) {
+    if (!successUrl) {
+      const err = new Error('Stripe checkouts need a page to return to: pass returnUrl or set the site URL');
+      err.status = 400;
+      throw err;
+    }
+
+    const form = new URLSearchParams({
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: reference,
+      'metadata[siteId]': siteId
+    });
+    items.forEach((item, index) => {
+      form.append(`line_items[${index}][quantity]`, String(item.quantity));
+      form.append(`line_items[${index}][price_data][currency]`, currency.toLowerCase());
+      form.append(`line_items[${index}][price_data][unit_amount]`, String(item.unitAmount));
+      form.append(`line_items[${index}][price_data][product_data][name]`, item.name);
+    });
+
+    const response = await axios.post(`${this.baseURL}/checkout/sessions`, form.toString(), {
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: this.timeout
+    });
+
+    if (!response.data || !response.data.url) {
+      throw new Error('Stripe did not return a checkout URL');
+    }
+    return { id: response.data.id, url: response.data.url };
+  }
+}
+
+module.exports = StripePaymentProvider;
@@ -0,0 +1,42 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Stand-in payment provider for development and tests. Checkouts are kept in
+// memory and "paid" on a page this server renders (GET /api/checkout/stub/:id),
+// so the whole cart-to-payment flow works without a payment account.
+class StubPaymentProvider {
+  constructor({ baseUrl }) {
+    this.name = 'stub';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.sessions = new Map();
+  }
+
+  async createPaymentLink({ siteId, currency, items, successUrl, cancelUrl }) {
+    const id = uuidv4();
+    this.sessions.set(id, {
+      id,
+      siteId,
+      currency,
+      items,
+      total: items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0),
+      successUrl,
+      cancelUrl,
+      status: 'open',
+      createdAt: new Date().toISOString()
+    });
+    return { id, url: `${this.baseUrl}/api/checkout/stub/${id}` };
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  // Mark an open checkout paid; returns the session, or null if there is none
+  completeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    session.status = 'paid';
+    return session;
+  }
+}
+
+module.exports = StubPaymentProvider;
@@ -0,0 +1,114 @@
+const path = require('path');
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { languageName } = require('./translator');
+const { slugify, uniqueSlug } = require('./blog');
+const { getStorage } = require('./storage');
+const { portfolioSchema } = require('../middleware/validation');
+
+// Where an input image ends up in the site: uploads (URLs of the image
+// storage, such as /uploads/<file>) are copied into images/, other URLs are
+// linked as they are
+function siteImagePath(url, storage = getStorage()) {
+  const key = storage.keyFromUrl(url);
+  if (key) {
+    return `images/${path.basename(key)}`;
+  }
+  return /^https?:\/\//i.test(url) ? url : `images/${path.basename(url)}`;
+}
+
+// "/uploads/1712345678-kitchen_remodel.jpg" -> "kitchen remodel", a hint
+// for the model about what the image shows
+function imageHint(url) {
+  return path.basename(url, path.extname(url)).replace(/^\d+-/, '').replace(/[-_]+/g, ' ').trim();
+}
+
+function buildPortfolioPrompt({ biz, niche, images, language = 'en' }) {
+  const list = images.map((url, index) => `${index + 1}. ${imageHint(url) || 'untitled'}`).join('\n');
+  return `"${biz}" is a ${niche} portfolio. Write a portfolio project for each of these ${images.length} images, in this order, in ${languageName(language)}. The file names hint at what each image shows:
+
+${list}
+
+Group the projects into 1-4 categories that suit the ${niche} field.
+
+Return a JSON object with this exact structure:
+{
+  "title": "Heading of the portfolio page",
+  "intro": "One sentence introducing the work",
+  "projects": [
+    {
+      "title": "Project title",
+      "category": "One-word or two-word category",
+      "description": "Two or three sentences about the project",
+      "alt": "Short description of the image for screen readers"
+    }
+  ]
+}
+
+Respond with the JSON object only.`;
+}
+
+/**
+ * Prompt the model for a portfolio with one project per image, in order.
+ * Each project gets its image's path in the site and unique slugs.
+ */
+async function generatePortfolio({ biz, niche, images, language, provider = getProvider() }) {
+  const portfolio = await generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildPortfolioPrompt({ biz, niche, images, language }) }],
+    validate: (parsed) => {
+      const result = portfolioSchema.validate(parsed, { abortEarly: false });
+      if (!result.error && result.value.projects.length < images.length) {
+        return { error: new Error(`"projects" must have one entry for each of the ${images.length} images`) };
+      }
+      return result;
+    },
+    temperature: 0.7,
+    fixture: 'portfolio',
+    context: { biz, niche, language }
+  });
+
+  const projects = [];
+  for (const [index, url] of images.entries()) {
+    const work = portfolio.projects[index];
+    const slug = uniqueSlug(work.title, projects);
+    projects.push({ ...work, image: siteImagePath(url), slug, categorySlug: slugify(work.category) });
+  }
+  return { ...portfolio, projects };
+}
+
+/**
+ * Pages a portfolio adds to a site, as template collections (see
+ * TemplateEngine.expandPages): the `portfolio` gallery and one `works` page
+ * per project, linked to its neighbours. Empty when the content has no
+ * portfolio.
+ */
+function portfolioCollections(portfolio) {
+  if (!portfolio || !portfolio.projects || portfolio.projects.length === 0) {
+    return {};
+  }
+
+  const file = work => `work-${work.slug}.html`;
+  const works = portfolio.projects.map((work, index, all) => ({
+    ...work,
+    file: file(work),
+    previous: index > 0 ? file(all[index - 1]) : null,
+    next: index + 1 < all.length ? file(all[index + 1]) : null
+  }));
+
+  const categories = [...new Set(works.map(work => work.categorySlug))]
+    .map(categorySlug => ({ slug: categorySlug, title: works.find(work => work.categorySlug === categorySlug).category }));
+
+  return {
+    portfolio: [{ file: 'portfolio.html', works, categories, filterable: categories.length > 1 }],
+    works
+  };
+}
+
+module.exports = {
+  siteImagePath,
+  imageHint,
+  buildPortfolioPrompt,
+  generatePortfolio,
+  portfolioCollections
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_ROOT = path.join(__dirname, '../generated/projects');
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// File-backed store for generated sites. Each project lives in its own
+// directory keyed by id:
+//   <root>/<id>/project.json  inputs, model content and metadata
+//   <root>/<id>/site/         rendered pages and assets
+//   <root>/<id>/website.zip   packaged site
+//   <root>/<id>/submissions.jsonl  form submissions from the published site
+class ProjectStore {
+  constructor({ rootDir = process.env.PROJECTS_DIR || DEFAULT_ROOT } = {}) {
+    this.rootDir = rootDir;
+  }
+
+  projectDir(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid project id: ${id}`);
+    }
+    return path.join(this.rootDir, id);
+  }
+
+  siteDir(id) {
+    return path.join(this.projectDir(id), 'site');
+  }
+
+  archivePath(id) {
+    return path.join(this.projectDir(id), 'website.zip');
+  }
+
+  submissionsPath(id) {
+    return path.join(this.projectDir(id), 'submissions.jsonl');
+  }
+
+  create({ name, generator, input }) {
+    const now = new Date().toISOString();
+    const project = {
+      id: uuidv4(),
+      // Secret for reading form submissions. The id is published in every
+      // form on the site, so it can't be the key to what visitors sent.
+      formsToken: uuidv4(),
+      name,
+      generator,
+      status: 'generating',
+      input,
+      content: null,
+      files: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    fs.mkdirSync(this.siteDir(project.id), { recursive: true });
+    this.save(project);
+    return project;
+  }
+
+  save(project) {
+    project.updatedAt = new Date().toISOString();
+    fs.writeFileSync(
+      path.join(this.projectDir(project.id), 'project.json'),
+      JSON.stringify(project, null, 2)
+    );
+    return project;
+  }
+
+  update(id, changes) {
+    const project = this.get(id);
+    if (!project) {
+      throw new Error(`Project not found: ${id}`);
+    }
+    return this.save(Object.assign(project, changes));
+  }
+
+  get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+    const file = path.join(this.rootDir, id, 'project.json');
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Project summaries, newest first
+  list() {
+    if (!fs.existsSync(this.rootDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.rootDir)
+      .map(id => this.get(id))
+      .filter(Boolean)
+      .map(({ id, name, generator, status, createdAt, updatedAt }) => ({
+        id, name, generator, status, createdAt, updatedAt
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Append one form submission; kept outside site/ so it is never packaged
+  addSubmission(id, { fields, page }) {
+    const submission = {
+      id: uuidv4(),
+      submittedAt: new Date().toISOString(),
+      page: page || null,
+      fields
+    };
+    fs.appendFileSync(this.submissionsPath(id), `${JSON.stringify(submission)}\n`);
+    return submission;
+  }
+
+  // Form submissions, oldest first
+  listSubmissions(id) {
+    const file = this.submissionsPath(id);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  delete(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+    fs.rmSync(this.projectDir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  // Relative paths of every file under the project's site directory
+  listSiteFiles(id) {
+    const root = this.siteDir(id);
+    const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(fullPath) : [path.relative(root, fullPath).split(path.sep).join('/')];
+    });
+    return fs.existsSync(root) ? walk(root).sort() : [];
+  }
+}
+
+const projectStore = new ProjectStore();
+
+module.exports = {
+  ProjectStore,
+  projectStore
+};
@@ -0,0 +1,60 @@
+const OpenAIProvider = require('./openai');
+const MockProvider = require('./mock');
+
+const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Build an LLM provider. The provider name defaults to LLM_PROVIDER and
+ * falls back to 'openai'. `defaults.model` is used when LLM_MODEL is unset.
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openai', defaults = {}) {
+  const model = process.env.LLM_MODEL || defaults.model;
+
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model
+      });
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL must be set for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        apiKey: process.env.LLM_API_KEY,
+        baseURL: process.env.LLM_BASE_URL,
+        model,
+        requireKey: false
+      });
+    case 'mock':
+      return new MockProvider({
+        fixturesDir: process.env.LLM_FIXTURES_DIR
+      });
+    default:
+      throw new Error(`Unknown LLM provider "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+let sharedProvider = null;
+
+// Process-wide provider, created lazily so a missing API key only fails the
+// requests that need it rather than server startup.
+function getProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createProvider();
+  }
+  return sharedProvider;
+}
+
+function setProvider(provider) {
+  sharedProvider = provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  getProvider,
+  setProvider,
+  OpenAIProvider,
+  MockProvider
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/llm');
+
+// Deterministic provider for offline development and CI. Each call names a
+// fixture (fixtures/llm/<name>.json or .txt) and the fixture's {{placeholders}}
+// are filled from the call's context; {{{placeholders}}} are inserted raw, for
+// context values that are already JSON. Responses queued with enqueue() are
+// returned first, which lets tests script exact model output.
+class MockProvider {
+  constructor({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.fixturesDir = fixturesDir;
+    this.queue = [];
+    this.calls = [];
+  }
+
+  enqueue(...responses) {
+    this.queue.push(...responses);
+    return this;
+  }
+
+  reset() {
+    this.queue = [];
+    this.calls = [];
+  }
+
+  async complete({ messages, fixture = 'default', context = {} }) {
+    this.calls.push({ messages, fixture, context });
+
+    if (this.queue.length > 0) {
+      return this.queue.shift();
+    }
+
+    const jsonPath = path.join(this.fixturesDir, `${fixture}.json`);
+    const textPath = path.join(this.fixturesDir, `${fixture}.txt`);
+    const isJSON = fs.existsSync(jsonPath);
+    const fixturePath = isJSON ? jsonPath : textPath;
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Mock provider fixture not found: ${fixture}`);
+    }
+
+    const template = fs.readFileSync(fixturePath, 'utf8');
+    return template.replace(/{{{(\w+)}}}/g, (match, key) => (
+      key in context ? String(context[key]) : match
+    )).replace(/{{(\w+)}}/g, (match, key) => {
+      if (!(key in context)) {
+        return match;
+      }
+      const value = String(context[key]);
+      // Keep substituted values valid inside JSON string literals
+      return isJSON ? JSON.stringify(value).slice(1, -1) : value;
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+// Talks to the OpenAI chat completions API, or to any server exposing the
+// same /chat/completions contract (llama.cpp, Ollama, vLLM, ...).
+class OpenAIProvider {
+  constructor({ apiKey, baseURL = DEFAULT_BASE_URL, model = DEFAULT_MODEL, requireKey = true, timeout = 120000 } = {}) {
+    if (requireKey && !apiKey) {
+      throw new Error('OpenAI API key not set');
+    }
+
+    this.name = requireKey ? 'openai' : 'openai-compatible';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async complete({ messages, model, temperature = 0.7 }) {
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model: model || this.model,
+      messages,
+      temperature
+    }, {
+      headers,
+      timeout: this.timeout
+    });
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error(`Empty completion from ${this.name} provider`);
+    }
+
+    return choice.message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,132 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { loadSharp } = require('./image-pipeline');
+
+// Images copied from a URL are JPEG, PNG or WebP, as uploads are, and are
+// named after the format sharp reads in them
+const IMAGE_FORMATS = {
+  jpeg: { type: 'image/jpeg', extension: 'jpg' },
+  png: { type: 'image/png', extension: 'png' },
+  webp: { type: 'image/webp', extension: 'webp' }
+};
+const MAX_BYTES = 10 * 1024 * 1024;
+
+// Addresses the server must never fetch from on a caller's behalf: itself,
+// private networks and link-local ones such as the cloud metadata service
+// at 169.254.169.254. IPv4 rules also cover IPv4-mapped IPv6 addresses.
+const INTERNAL_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const internal = new net.BlockList();
+for (const [address, prefix, family] of INTERNAL_NETWORKS) {
+  internal.addSubnet(address, prefix, family);
+}
+
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  return version !== 0 && !internal.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+function fail(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const refused = hostname => fail(`imageUrl host ${hostname} is not a public address`, 400);
+
+// dns.lookup for axios that only hands out public addresses. It runs for
+// every connection, redirects included, so a name can't resolve to a public
+// address when checked and a private one when fetched.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(refused(hostname));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Hosts written as IP addresses are connected to without a lookup
+function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw refused(hostname);
+  }
+}
+
+/**
+ * Download an image from a public http(s) URL, as a file for
+ * ImageProcessor.processUploadedImage: { buffer, originalname, mimetype }.
+ * The response must be a JPEG, PNG or WebP that sharp can read, and the
+ * name is made from the format read, never from the URL. Rejects with
+ * status 400 for private hosts, 415 for anything but an image, 502 when the
+ * download fails and 503 without sharp, which the check needs.
+ */
+async function fetchImage(url, { sharp = loadSharp(), lookup = publicLookup, timeout = 30000 } = {}) {
+  const source = new URL(url);
+  if (!['http:', 'https:'].includes(source.protocol)) {
+    throw fail('imageUrl must be an http(s) URL', 400);
+  }
+  checkHost(source.hostname);
+  if (!sharp) {
+    throw fail('Copying images from a URL needs sharp, which is not installed', 503);
+  }
+
+  let response;
+  try {
+    response = await axios.get(source.href, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxContentLength: MAX_BYTES,
+      maxRedirects: 3,
+      lookup,
+      beforeRedirect: options => checkHost(options.hostname)
+    });
+  } catch (error) {
+    // A refused host or redirect is somewhere down the chain of causes
+    let refusal = error;
+    while (refusal && !(refusal.status && !refusal.response)) {
+      refusal = refusal.cause;
+    }
+    throw refusal || fail(`Could not download imageUrl: ${error.message}`, 502);
+  }
+
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!Object.values(IMAGE_FORMATS).some(({ type }) => type === contentType)) {
+    throw fail('imageUrl is not a JPEG, PNG or WebP image', 415);
+  }
+  const buffer = Buffer.from(response.data);
+  const metadata = await sharp(buffer).metadata().catch(() => null);
+  const format = metadata && IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw fail('imageUrl is not a JPEG, PNG or WebP image', 415);
+  }
+  return { buffer, originalname: `image.${format.extension}`, mimetype: format.type };
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  fetchImage
+};
@@ -0,0 +1,59 @@
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { languageName } = require('./translator');
+const { menuSchema, DIETARY_TAGS } = require('../middleware/validation');
+
+function buildMenuPrompt({ biz, niche, language = 'en' }) {
+  return `Write the menu for "${biz}", a restaurant in the "${niche}" category. Write it in ${languageName(language)}.
+
+Group 8-16 dishes into 3-5 categories (such as starters, mains, desserts and drinks) that suit the restaurant. Give each dish a realistic price as a plain number in the restaurant's local currency, and tag it with any of these that apply: ${DIETARY_TAGS.join(', ')}.
+
+Return a JSON object with this exact structure:
+{
+  "currency": "ISO 4217 currency code, e.g. USD",
+  "categories": [
+    {
+      "name": "Category name",
+      "description": "Optional one-line description",
+      "items": [
+        {"name": "Dish name", "description": "Short description of the dish", "price": 12.5, "dietary": ["vegetarian"]}
+      ]
+    }
+  ]
+}
+
+Respond with the JSON object only.`;
+}
+
+// Prompt the model for a restaurant menu
+function generateMenu({ biz, niche, language, provider = getProvider() }) {
+  return generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildMenuPrompt({ biz, niche, language }) }],
+    validate: parsed => menuSchema.validate(parsed, { abortEarly: false }),
+    temperature: 0.7,
+    fixture: 'menu',
+    context: { biz, niche, language }
+  });
+}
+
+/**
+ * Pages a restaurant adds to a site, as template collections (see
+ * TemplateEngine.expandPages): the `menu` page and the `reservations` form.
+ * Empty when the content has no menu.
+ */
+function restaurantCollections(content) {
+  if (!content.menu) {
+    return {};
+  }
+  return {
+    menu: [{ file: 'menu.html' }],
+    reservations: [{ file: 'reservations.html' }]
+  };
+}
+
+module.exports = {
+  buildMenuPrompt,
+  generateMenu,
+  restaurantCollections
+};
@@ -0,0 +1,111 @@
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { languageName } = require('./translator');
+const { slugify, uniqueSlug } = require('./blog');
+const { siteImagePath } = require('./portfolio');
+const { catalogSchema } = require('../middleware/validation');
+
+function buildCatalogPrompt({ biz, niche, language = 'en' }) {
+  return `Write placeholder products for the online shop of "${biz}", a retailer in the "${niche}" industry. Write them in ${languageName(language)}.
+
+Write 6-9 products that such a shop would plausibly sell, in 2-3 categories, with realistic prices as plain numbers in the shop's local currency.
+
+Return a JSON object with this exact structure:
+{
+  "title": "Name of the shop page",
+  "intro": "One sentence introducing the products",
+  "currency": "ISO 4217 currency code, e.g. USD",
+  "products": [
+    {"name": "Product name", "description": "One or two sentences about the product", "price": 24.99, "category": "Category"}
+  ]
+}
+
+Respond with the JSON object only.`;
+}
+
+// Give each product a unique slug for its page and a category slug; uploaded
+// images (/uploads/<file>) point at their copy in the site
+function stampProducts(products) {
+  const stamped = [];
+  for (const product of products) {
+    stamped.push({
+      ...product,
+      slug: uniqueSlug(product.name, stamped),
+      categorySlug: slugify(product.category),
+      image: product.image ? siteImagePath(product.image) : ''
+    });
+  }
+  return stamped;
+}
+
+/**
+ * The catalog of a retail site: the products from the request, or
+ * placeholders from the model when there are none.
+ */
+async function buildCatalog({ biz, niche, products, currency, language, provider = getProvider() }) {
+  if (products) {
+    const { value } = catalogSchema.validate({ currency, products });
+    return { ...value, products: stampProducts(value.products) };
+  }
+
+  const catalog = await generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildCatalogPrompt({ biz, niche, language }) }],
+    validate: parsed => catalogSchema.validate(parsed, { abortEarly: false }),
+    temperature: 0.7,
+    fixture: 'catalog',
+    context: { biz, niche, language }
+  });
+  return { ...catalog, currency: currency || catalog.currency, placeholder: true, products: stampProducts(catalog.products) };
+}
+
+// schema.org Product data for a product page
+function productData(product, currency) {
+  return Object.fromEntries(Object.entries({
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: product.description,
+    sku: product.sku,
+    image: product.image,
+    offers: { '@type': 'Offer', price: product.price.toFixed(2), priceCurrency: currency }
+  }).filter(([, value]) => value));
+}
+
+/**
+ * Pages a catalog adds to a site, as template collections (see
+ * TemplateEngine.expandPages): the `shop` page with products grouped by
+ * category, a `products` page each and the `cart`. Empty when the content
+ * has no catalog.
+ */
+function retailCollections(catalog) {
+  if (!catalog || !catalog.products || catalog.products.length === 0) {
+    return {};
+  }
+
+  const products = catalog.products.map(product => ({
+    ...product,
+    file: `product-${product.slug}.html`,
+    structuredData: productData(product, catalog.currency)
+  }));
+  const categories = [...new Set(products.map(product => product.categorySlug))].map((categorySlug) => {
+    const categoryProducts = products.filter(product => product.categorySlug === categorySlug);
+    return { title: categoryProducts[0].category, slug: categorySlug, products: categoryProducts };
+  });
+
+  return {
+    shop: [{ file: 'shop.html', categories }],
+    products,
+    // What the cart's script needs to list and price the items
+    cart: [{
+      file: 'cart.html',
+      products: Object.fromEntries(products.map(product => [product.slug, { name: product.name, price: product.price, file: product.file }]))
+    }]
+  };
+}
+
+module.exports = {
+  buildCatalogPrompt,
+  buildCatalog,
+  retailCollections
+};
@@ -0,0 +1,136 @@
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { renderPages, renderOptions, writePages, siteCollections, pagesForSection, auditProject, packageProject } = require('./site-generator');
+const { translateValue } = require('./translator');
+const { projectStore } = require('./project-store');
+const { applySeedData } = require('./seed-data');
+const { applyImagePlacements } = require('./image-placement');
+const { buildBrandPrompt, applyBrandKit } = require('./brand-kit');
+const { validateSiteContent } = require('../middleware/validation');
+
+// Paths only follow the content's own keys, never inherited ones such as
+// constructor or __proto__
+const isContainer = value => value !== null && typeof value === 'object';
+
+function getPath(obj, sectionPath) {
+  return sectionPath.split('.').reduce(
+    (value, key) => (isContainer(value) && Object.hasOwn(value, key) ? value[key] : undefined),
+    obj
+  );
+}
+
+function setPath(obj, sectionPath, value) {
+  const keys = sectionPath.split('.');
+  const last = keys.pop();
+  const parent = keys.length > 0 ? getPath(obj, keys.join('.')) : obj;
+  if (!isContainer(parent) || !Object.hasOwn(parent, last)) {
+    throw new Error(`Unknown section: ${sectionPath}`);
+  }
+  parent[last] = value;
+}
+
+// Leaf-level differences between two JSON values, keyed by dotted path
+function diffValues(before, after, basePath) {
+  if (!isContainer(before) || !isContainer(after)) {
+    return before === after ? [] : [{ path: basePath, before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].flatMap(key => diffValues(before[key], after[key], `${basePath}.${key}`));
+}
+
+function clientError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function buildSectionPrompt(project, sectionPath, current, instruction) {
+  const { biz, niche, brandKit } = project.input;
+  return `You are revising one part of the website content for "${biz}" in the "${niche}" industry.
+
+Here is the full content JSON for context:
+${JSON.stringify(project.content, null, 2)}
+
+Rewrite only the value at "${sectionPath}". Its current value is:
+${JSON.stringify(current, null, 2)}
+
+${brandKit ? `${buildBrandPrompt(brandKit)}\n\n` : ''}${instruction ? `Instruction from the site owner: ${instruction}\n\n` : ''}Keep exactly the same JSON structure and keys as the current value. Respond with a JSON object of the form {"value": <new value>} and nothing else.`;
+}
+
+/**
+ * Re-prompt a single section of a stored project's content, translate the
+ * new section into the site's other languages, re-render the pages that show
+ * it and repackage the site. Resolves with the section's old and new values,
+ * the leaf-level changes and the pages rewritten.
+ */
+async function regenerateSection(project, { section, instruction = '', provider = getProvider(), store = projectStore }) {
+  if (project.generator !== 'pages' || !project.content) {
+    throw clientError('Only projects created by /generate support section regeneration', 409);
+  }
+
+  const before = getPath(project.content, section);
+  if (before === undefined) {
+    throw clientError(`Unknown section: ${section}`);
+  }
+
+  const content = await generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildSectionPrompt(project, section, before, instruction) }],
+    validate: (parsed) => {
+      if (!parsed || typeof parsed !== 'object' || !('value' in parsed)) {
+        return { error: new Error('Response must be a JSON object with a "value" key') };
+      }
+      const next = JSON.parse(JSON.stringify(project.content));
+      setPath(next, section, parsed.value);
+      // Facts from the project's data file and brand kit (or image) colours
+      // stay as they were supplied, and placed images stay where they were put
+      const supplied = applyBrandKit(applySeedData(next, project.input.data), project.input.brandKit, project.palette);
+      return validateSiteContent(applyImagePlacements(supplied, project.imagePlacements));
+    },
+    fixture: 'section',
+    context: { section, instruction, current: JSON.stringify(before) }
+  });
+
+  const after = getPath(content, section);
+  const languages = project.languages || ['en'];
+  const translations = { ...project.translations };
+  for (const code of languages.slice(1)) {
+    const translated = JSON.parse(JSON.stringify(translations[code]));
+    setPath(translated, section, await translateValue(after, { from: languages[0], to: code, provider }));
+    translations[code] = translated;
+  }
+
+  // New brand colours are audited from scratch rather than on top of the
+  // adjustments made to the old ones
+  if (section.split('.')[0] === 'colors') {
+    project.colorOverrides = {};
+  }
+
+  const pages = pagesForSection(section, project.input.theme, languages, siteCollections(content));
+  const rendered = renderPages(project.name, content, project.input.theme, {
+    ...renderOptions(project),
+    translations
+  });
+  writePages(store.siteDir(project.id), Object.fromEntries(pages.map(page => [page, rendered[page]])));
+
+  project.content = content;
+  project.translations = translations;
+  auditProject(project, store);
+  await packageProject(project, store);
+
+  return {
+    section,
+    before,
+    after,
+    changes: diffValues(before, after, section),
+    pages
+  };
+}
+
+module.exports = {
+  getPath,
+  setPath,
+  diffValues,
+  regenerateSection
+};
@@ -0,0 +1,62 @@
+// Contact details the model must not make up. When a request has a data
+// file they come from it only, and are left empty when it doesn't give them.
+const CONTACT_FACTS = ['address', 'phone', 'email', 'hours'];
+
+/**
+ * The facts from a request's data file for the content prompt. Products are
+ * left out: they go to the catalog, not the copy.
+ */
+function buildFactsPrompt(data) {
+  const { products, ...facts } = data;
+  return `The business supplied the facts below. Use them exactly as given and write the rest of the copy around them. Do not make up an address, phone number, email, opening hours, team members, statistics or testimonials that are not listed; leave them empty instead.
+
+${JSON.stringify(facts, null, 2)}`;
+}
+
+// The supplied entries, each completed with the fields the model wrote for
+// the generated entry of the same title or name
+function fillGaps(given, generated, key) {
+  const written = Array.isArray(generated) ? generated : [];
+  return given.map((item) => {
+    const match = written.find(other => other && String(other[key]).toLowerCase() === item[key].toLowerCase());
+    return { ...match, ...item };
+  });
+}
+
+/**
+ * Put the facts of a request's data file into model-written content, over
+ * whatever the model wrote for them. Factual fields the file doesn't give
+ * (contact details, team, stats, testimonials) are emptied rather than left
+ * to the model. Content without a data file is returned unchanged.
+ */
+function applySeedData(content, data) {
+  if (!data || !content || typeof content !== 'object') {
+    return content;
+  }
+
+  const { company = {}, services, stats = [], team = [], testimonials = [] } = data;
+  const landing = content.landing || {};
+  const about = content.about || {};
+  const given = keys => Object.fromEntries(keys.filter(key => company[key]).map(key => [key, company[key]]));
+
+  return {
+    ...content,
+    branding: { ...content.branding, ...given(['tagline', 'description']) },
+    landing: {
+      ...landing,
+      services: services ? fillGaps(services, landing.services, 'title') : landing.services,
+      stats,
+      testimonials
+    },
+    about: { ...about, ...given(['story', 'mission']), team: fillGaps(team, about.team, 'name') },
+    contact: {
+      ...content.contact,
+      ...Object.fromEntries(CONTACT_FACTS.map(key => [key, company[key] || '']))
+    }
+  };
+}
+
+module.exports = {
+  buildFactsPrompt,
+  applySeedData
+};
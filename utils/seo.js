@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeXml } = require('./escape');
+const { languageDir } = require('./translator');
+const { openingHoursSpecification } = require('./opening-hours');
+
+// Menu dietary tags schema.org has a diet for
+const SCHEMA_DIETS = {
+  vegetarian: 'https://schema.org/VegetarianDiet',
+  vegan: 'https://schema.org/VeganDiet',
+  'gluten-free': 'https://schema.org/GlutenFreeDiet'
+};
+
+// Open Graph wants territory-style locales: pt-BR -> pt_BR
+function ogLocale(code) {
+  return code.replace('-', '_');
+}
+
+// Drop empty fields (undefined, '' and []) from JSON-LD data
+function compact(data) {
+  return Object.fromEntries(Object.entries(data)
+    .filter(([, value]) => value && !(Array.isArray(value) && value.length === 0)));
+}
+
+/**
+ * schema.org LocalBusiness data for the home page, from the branding and
+ * contact content. Sites with a menu are a Restaurant, linking to their menu
+ * and reservation pages under `pageBase`. `hours` is the opening hours text
+ * in the default language, which is the one parsed into
+ * openingHoursSpecification. Empty fields are left out.
+ */
+function localBusinessData(biz, content, { siteUrl, pageBase = '', language, hours } = {}) {
+  const { branding = {}, contact = {} } = content;
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': content.menu ? 'Restaurant' : 'LocalBusiness',
+    name: biz,
+    description: branding.description || branding.tagline,
+    url: siteUrl,
+    telephone: contact.phone,
+    email: contact.email,
+    address: contact.address,
+    openingHours: contact.hours,
+    openingHoursSpecification: openingHoursSpecification(hours === undefined ? contact.hours : hours),
+    hasMenu: content.menu && `${pageBase}menu.html`,
+    acceptsReservations: content.menu && `${pageBase}reservations.html`,
+    inLanguage: language
+  });
+}
+
+// schema.org Menu data for a restaurant's menu page
+function menuData(biz, menu, { url, language } = {}) {
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'Menu',
+    name: biz,
+    url,
+    inLanguage: language,
+    hasMenuSection: menu.categories.map(category => compact({
+      '@type': 'MenuSection',
+      name: category.name,
+      description: category.description,
+      hasMenuItem: category.items.map(item => compact({
+        '@type': 'MenuItem',
+        name: item.name,
+        description: item.description,
+        offers: { '@type': 'Offer', price: item.price.toFixed(2), priceCurrency: menu.currency },
+        suitableForDiet: (item.dietary || []).map(tag => SCHEMA_DIETS[tag]).filter(Boolean)
+      }))
+    }))
+  });
+}
+
+/**
+ * sitemap.xml listing every page in every language, with hreflang
+ * alternates when the site has more than one. `files` are the page files of
+ * one language (index.html, about.html, ...).
+ */
+function buildSitemap({ siteUrl, files, languages = ['en'], lastModified }) {
+  const lastmod = lastModified ? `\n    <lastmod>${escapeXml(lastModified.slice(0, 10))}</lastmod>` : '';
+  const pageUrl = (code, file) => escapeXml(`${siteUrl}${languageDir(code, languages)}${file}`);
+
+  const urls = languages.flatMap(code => files.map((file) => {
+    const alternates = languages.length > 1
+      ? languages.map(other => `\n    <xhtml:link rel="alternate" hreflang="${escapeXml(other)}" href="${pageUrl(other, file)}"/>`).join('')
+      : '';
+    return `  <url>
+    <loc>${pageUrl(code, file)}</loc>${lastmod}${alternates}
+  </url>`;
+  }));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function buildRobots({ siteUrl }) {
+  const sitemap = siteUrl ? `\nSitemap: ${siteUrl}sitemap.xml\n` : '';
+  return `User-agent: *\nAllow: /\n${sitemap}`;
+}
+
+/**
+ * Write robots.txt, and sitemap.xml when the site URL is known (sitemaps
+ * need absolute URLs), into a rendered site.
+ */
+function writeSeoFiles(siteDir, { siteUrl, files, languages, lastModified }) {
+  fs.writeFileSync(path.join(siteDir, 'robots.txt'), buildRobots({ siteUrl }));
+  if (siteUrl) {
+    fs.writeFileSync(path.join(siteDir, 'sitemap.xml'), buildSitemap({ siteUrl, files, languages, lastModified }));
+  }
+}
+
+module.exports = {
+  ogLocale,
+  localBusinessData,
+  menuData,
+  buildSitemap,
+  buildRobots,
+  writeSeoFiles
+};
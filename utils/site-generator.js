@@ -0,0 +1,502 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { validateSiteContent, blogPostSchema } = require('../middleware/validation');
+const { projectStore } = require('./project-store');
+const { themeRegistry } = require('./theme-registry');
+const { languageName, languageDir, textDirection, translateValue, translateContent } = require('./translator');
+const { ogLocale, localBusinessData, menuData, writeSeoFiles } = require('./seo');
+const { formEndpoint, checkoutEndpoint } = require('./forms');
+const { auditSite, fixPalette } = require('./accessibility');
+const { generateBlog, generatePost, blogCollections, writeFeeds } = require('./blog');
+const { generateMenu, restaurantCollections } = require('./restaurant');
+const { siteImagePath, generatePortfolio, portfolioCollections } = require('./portfolio');
+const { buildCatalog, retailCollections } = require('./retail');
+const { openingHoursTable } = require('./opening-hours');
+const { buildFactsPrompt, applySeedData } = require('./seed-data');
+const { writeResponsiveImages } = require('./image-pipeline');
+const { placeImages, applyImagePlacements } = require('./image-placement');
+const { buildBrandPrompt, applyBrandKit, lockedColors, brandTheme, buildSiteBrand } = require('./brand-kit');
+const { getStorage } = require('./storage');
+const { paletteForUrl } = require('./palette');
+const logger = require('./logger');
+
+// Progress (percent) reported to onProgress as the pipeline enters each stage
+const STAGES = {
+  prompting: 10,
+  writing: 25,
+  placing: 33,
+  translating: 40,
+  rendering: 60,
+  auditing: 70,
+  seo: 75,
+  packaging: 85
+};
+
+// Template collections for a site's content: blog posts and pages, the menu
+// and reservation pages of a restaurant, a portfolio's gallery and a shop
+function siteCollections(content) {
+  return {
+    ...blogCollections(content.blog),
+    ...restaurantCollections(content),
+    ...portfolioCollections(content.portfolio),
+    ...retailCollections(content.catalog)
+  };
+}
+
+// Pages that render a content path, from the `sections` front matter of
+// templates/pages, in every language. Keys no page claims (branding, colors)
+// affect every page.
+function pagesForSection(sectionPath, theme, languages = ['en'], collections = {}) {
+  const key = sectionPath.split('.')[0];
+  const pages = themeRegistry.engineFor(theme).expandPages(collections);
+  const claimed = pages.filter(page => (page.meta.sections || []).includes(key));
+  const files = (claimed.length > 0 ? claimed : pages).map(page => page.file);
+  return languages.flatMap(code => files.map(file => languageDir(code, languages) + file));
+}
+
+function buildPrompt({ biz, niche, websiteType, language = 'en', data, brandKit }) {
+  return `Create comprehensive content for a professional 3-page website for "${biz}" in the "${niche}" industry (type: ${websiteType}). Write all of the website copy in ${languageName(language)}.
+
+Return a JSON object with this exact structure:
+{
+  "branding": {
+    "tagline": "Catchy tagline for the business",
+    "description": "Brief 1-sentence description of what they do"
+  },
+  "colors": {
+    "primary": "Primary brand color hex code",
+    "secondary": "Secondary color hex",
+    "accent": "Accent color hex"
+  },
+  "landing": {
+    "hero": {
+      "headline": "Compelling main headline",
+      "subheading": "Supporting text (2-3 sentences)",
+      "ctaText": "Call-to-action button text"
+    },
+    "services": [
+      {
+        "title": "Service 1",
+        "description": "Detailed service description",
+        "icon": "Font Awesome icon class (e.g., fas fa-star)"
+      },
+      {
+        "title": "Service 2", 
+        "description": "Detailed service description",
+        "icon": "Font Awesome icon class"
+      },
+      {
+        "title": "Service 3",
+        "description": "Detailed service description", 
+        "icon": "Font Awesome icon class"
+      }
+    ],
+    "stats": [
+      {"number": "Statistic", "label": "Description"},
+      {"number": "Statistic", "label": "Description"},
+      {"number": "Statistic", "label": "Description"}
+    ]
+  },
+  "about": {
+    "headline": "About page main heading",
+    "story": "Company story and background (3-4 paragraphs)",
+    "mission": "Mission statement",
+    "values": [
+      {"title": "Value 1", "description": "Value description"},
+      {"title": "Value 2", "description": "Value description"},
+      {"title": "Value 3", "description": "Value description"}
+    ],
+    "team": [
+      {"name": "Team member name", "position": "Job title", "bio": "Brief bio"}
+    ]
+  },
+  "contact": {
+    "headline": "Contact page heading",
+    "subtitle": "Welcoming message encouraging contact",
+    "address": "Full business address",
+    "phone": "Phone number",
+    "email": "Professional email address",
+    "hours": "Business hours"
+  }
+}
+
+${data ? `${buildFactsPrompt(data)}\n\n` : ''}${brandKit ? `${buildBrandPrompt(brandKit)}\n\n` : ''}Make all content professional, engaging, and specific to the ${niche} industry. Respond with the JSON object only.`;
+}
+
+/**
+ * Render every page in templates/pages for the given content and theme, once
+ * per language. `translations` holds the content for each language after the
+ * first; with a `siteUrl` pages get canonical URLs and absolute hreflang
+ * links. Images in `responsiveImages` (see writeResponsiveImages) are shown
+ * with their responsive copies, and a `brand` (see buildSiteBrand) adds the
+ * logo, favicons and fonts of a brand kit. Returns { path: html }, e.g. { 'about.html': ..., 'es/about.html': ... }.
+ */
+function renderPages(biz, content, theme, { languages = ['en'], translations = {}, siteUrl, formAction, checkoutAction, colorOverrides = {}, responsiveImages = {}, brand = null } = {}) {
+  const engine = themeRegistry.engineFor(theme);
+  const output = {};
+
+  for (const code of languages) {
+    const dir = languageDir(code, languages);
+    const localized = dir ? translations[code] : content;
+    const pageBase = siteUrl ? siteUrl + dir : '';
+    const pages = engine.renderSite({
+      biz,
+      content: localized,
+      theme: brandTheme(themeRegistry.resolve(theme), brand),
+      language: { code, dir: textDirection(code), locale: ogLocale(code) },
+      pageBase,
+      formAction,
+      checkoutAction,
+      colorOverrides,
+      collections: siteCollections(localized),
+      responsiveImages,
+      brand,
+      structuredData: localBusinessData(biz, localized, { siteUrl, pageBase, language: code, hours: content.contact.hours }),
+      // Restaurants only. The hours are parsed from the default language's
+      // text, which the translations may have reworded.
+      menuData: localized.menu && menuData(biz, localized.menu, { url: `${pageBase}menu.html`, language: code }),
+      openingHours: localized.menu && openingHoursTable(content.contact.hours, code),
+      // Links from this language's pages to the same page in each language
+      languages: languages.map((other) => {
+        const relative = (dir ? '../' : '') + languageDir(other, languages);
+        return {
+          code: other,
+          label: languageName(other, other),
+          path: relative,
+          alternate: siteUrl ? siteUrl + languageDir(other, languages) : relative,
+          current: other === code
+        };
+      })
+    });
+    for (const [file, html] of Object.entries(pages)) {
+      output[dir + file] = html;
+    }
+  }
+
+  return output;
+}
+
+// Write rendered pages into a site directory, creating language folders
+function writePages(siteDir, pages) {
+  for (const [file, html] of Object.entries(pages)) {
+    fs.mkdirSync(path.dirname(path.join(siteDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, file), html);
+  }
+}
+
+// Options for renderPages() from a stored project
+function renderOptions(project) {
+  return {
+    languages: project.languages || ['en'],
+    translations: project.translations || {},
+    siteUrl: project.input.siteUrl,
+    formAction: formEndpoint(project.id),
+    checkoutAction: checkoutEndpoint(project.id),
+    colorOverrides: project.colorOverrides || {},
+    responsiveImages: project.responsiveImages || {},
+    brand: project.brand || null
+  };
+}
+
+// Render and write every page (and blog feed) of a stored project in all of
+// its languages
+function renderProject(project, store = projectStore) {
+  const options = renderOptions(project);
+  writePages(store.siteDir(project.id), renderPages(project.name, project.content, project.input.theme, options));
+  writeFeeds(store.siteDir(project.id), { ...options, biz: project.name, content: project.content, feedId: project.id });
+}
+
+// Rendered HTML pages of a stored project, as { file: html }
+function readPages(project, store = projectStore) {
+  const siteDir = store.siteDir(project.id);
+  return Object.fromEntries(store.listSiteFiles(project.id)
+    .filter(file => file.endsWith('.html'))
+    .map(file => [file, fs.readFileSync(path.join(siteDir, file), 'utf8')]));
+}
+
+/**
+ * Accessibility pass over a stored project's rendered pages. Colours that
+ * fail a contrast check are adjusted, kept in `project.colorOverrides` for
+ * later renders, and the site is re-rendered with them before the final
+ * audit. A brand kit's colours are never adjusted, only reported. Stores the
+ * report on the project and in the site as accessibility.json, so it ships
+ * in the archive, and returns it.
+ */
+function auditProject(project, store = projectStore) {
+  let report = auditSite(readPages(project, store));
+  const overrides = fixPalette(report.palette, { locked: lockedColors(project.input.brandKit) });
+  const adjusted = Object.entries(overrides).map(([variable, to]) => ({ variable, from: report.palette[variable] || null, to }));
+
+  if (adjusted.length > 0) {
+    project.colorOverrides = { ...project.colorOverrides, ...overrides };
+    renderProject(project, store);
+    report = auditSite(readPages(project, store));
+  }
+
+  const { palette, ...summary } = report;
+  project.accessibility = {
+    ...summary,
+    adjustedColors: [
+      ...((project.accessibility && project.accessibility.adjustedColors) || [])
+        .filter(previous => !(previous.variable in overrides)),
+      ...adjusted
+    ],
+    checkedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(store.siteDir(project.id), 'accessibility.json'), JSON.stringify(project.accessibility, null, 2));
+  return project.accessibility;
+}
+
+// robots.txt and sitemap.xml for a stored project's pages
+function writeProjectSeoFiles(project, store = projectStore) {
+  writeSeoFiles(store.siteDir(project.id), {
+    siteUrl: project.input.siteUrl,
+    files: themeRegistry.engineFor(project.input.theme)
+      .expandPages(siteCollections(project.content))
+      .map(page => page.file),
+    languages: project.languages || ['en'],
+    lastModified: new Date().toISOString()
+  });
+}
+
+/**
+ * Follow-up translation pass: translate a stored project's content into a
+ * new language, re-render every page (the language switcher changes on all
+ * of them) and repackage. Resolves with the project.
+ */
+async function addLanguage(project, language, { provider = getProvider(), store = projectStore } = {}) {
+  if (project.generator !== 'pages' || !project.content) {
+    const err = new Error('Only projects created by /generate can be translated');
+    err.status = 409;
+    throw err;
+  }
+
+  const languages = project.languages || ['en'];
+  if (languages.includes(language)) {
+    const err = new Error(`Project already has language: ${language}`);
+    err.status = 409;
+    throw err;
+  }
+
+  const translated = await translateContent(project.content, { from: languages[0], to: language, provider });
+  project.languages = [...languages, language];
+  project.translations = { ...project.translations, [language]: translated };
+  renderProject(project, store);
+  auditProject(project, store);
+  writeProjectSeoFiles(project, store);
+  await packageProject(project, store);
+  return project;
+}
+
+/**
+ * Write one more post for a stored blog project, translate it into the
+ * site's other languages, re-render and repackage. Resolves with the
+ * project and the new post.
+ */
+async function addPost(project, { topic = '', category } = {}, { provider = getProvider(), store = projectStore } = {}) {
+  if (project.generator !== 'pages' || !project.content || !project.content.blog) {
+    const err = new Error('Only blog projects created by /generate can have posts added');
+    err.status = 409;
+    throw err;
+  }
+
+  const languages = project.languages || ['en'];
+  const post = await generatePost({
+    biz: project.name,
+    niche: project.input.niche,
+    topic,
+    category,
+    blog: project.content.blog,
+    language: languages[0],
+    provider
+  });
+
+  project.content.blog.posts = [post, ...project.content.blog.posts];
+  for (const code of languages.slice(1)) {
+    const translated = await translateValue(post, {
+      from: languages[0],
+      to: code,
+      provider,
+      validate: value => blogPostSchema.validate(value)
+    });
+    project.translations[code].blog.posts = [translated, ...project.translations[code].blog.posts];
+  }
+
+  renderProject(project, store);
+  auditProject(project, store);
+  writeProjectSeoFiles(project, store);
+  await packageProject(project, store);
+  return { project, post };
+}
+
+// Copy the images kept in storage (uploads, referenced by their public URL)
+// into the site's images/ folder. Other URLs are linked as they are.
+async function copyImages(images, siteDir, storage = getStorage()) {
+  for (const url of new Set(images)) {
+    const key = storage.keyFromUrl(url);
+    if (!key) continue;
+    try {
+      const data = await storage.get(key);
+      fs.mkdirSync(path.join(siteDir, 'images'), { recursive: true });
+      fs.writeFileSync(path.join(siteDir, 'images', path.basename(key)), data);
+    } catch (error) {
+      logger.warn({ message: 'Could not copy image into site', url, error: error.message });
+    }
+  }
+}
+
+// Zip a directory's contents; resolves with the archive size in bytes
+function createArchive(sourceDir, zipPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip');
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    archive.directory(sourceDir, false);
+    archive.finalize();
+  });
+}
+
+// Zip a project's site directory and mark the project completed
+async function packageProject(project, store = projectStore) {
+  const zipPath = store.archivePath(project.id);
+  const size = await createArchive(store.siteDir(project.id), zipPath);
+
+  project.status = 'completed';
+  project.files = store.listSiteFiles(project.id);
+  store.save(project);
+
+  return { zipPath, size };
+}
+
+/**
+ * Run the 3-page generation pipeline: prompt the model, render the pages,
+ * copy images and zip the result into a new project. Resolves with the
+ * project plus its site directory, zip path and archive size.
+ */
+async function generateSite(input, { provider = getProvider(), store = projectStore, onProgress = () => {} } = {}) {
+  const { biz, niche, websiteType = 'business', images = [], posts = 6 } = input;
+  const languages = input.languages || ['en'];
+  const [language, ...otherLanguages] = languages;
+  const project = store.create({ name: biz, generator: 'pages', input });
+  project.languages = languages;
+  project.translations = {};
+
+  try {
+    onProgress('prompting', STAGES.prompting);
+    if (input.paletteFrom) {
+      project.palette = await paletteForUrl(input.paletteFrom);
+    }
+    let content = await generateStructuredContent({
+      provider,
+      messages: [{ role: 'user', content: buildPrompt({ biz, niche, websiteType, language, data: input.data, brandKit: input.brandKit }) }],
+      // The data file's facts and the brand kit's (or image's) colours
+      // replace what the model wrote for them
+      validate: parsed => validateSiteContent(applyBrandKit(applySeedData(parsed, input.data), input.brandKit, project.palette)),
+      temperature: 0.7,
+      fixture: 'site-content',
+      context: { biz, niche, websiteType, language }
+    });
+    project.content = content;
+    store.save(project);
+
+    if (websiteType === 'blog') {
+      onProgress('writing', STAGES.writing);
+      content.blog = await generateBlog({ biz, niche, count: posts, language, provider });
+      store.save(project);
+    }
+
+    if (websiteType === 'restaurant') {
+      onProgress('writing', STAGES.writing);
+      content.menu = input.menu || await generateMenu({ biz, niche, language, provider });
+      store.save(project);
+    }
+
+    if (websiteType === 'retail') {
+      onProgress('writing', STAGES.writing);
+      const products = input.products || (input.data && input.data.products);
+      content.catalog = await buildCatalog({ biz, niche, products, currency: input.currency, language, provider });
+      store.save(project);
+    }
+
+    if (websiteType === 'portfolio' && images.length > 0) {
+      onProgress('writing', STAGES.writing);
+      content.portfolio = await generatePortfolio({ biz, niche, images, language, provider });
+      store.save(project);
+    }
+
+    if (images.length > 0) {
+      onProgress('placing', STAGES.placing);
+      project.imagePlacements = await placeImages({
+        biz, niche, images, placements: input.imagePlacements, content, language, provider
+      });
+      content = applyImagePlacements(content, project.imagePlacements);
+      project.content = content;
+      store.save(project);
+    }
+
+    if (language !== 'en' || otherLanguages.length > 0) {
+      onProgress('translating', STAGES.translating);
+      // The copy is written in the site's language, the interface labels are not
+      if (language !== 'en') {
+        content.labels = await translateValue(content.labels, { from: 'en', to: language, provider });
+      }
+      for (const code of otherLanguages) {
+        project.translations[code] = await translateContent(content, { from: language, to: code, provider });
+      }
+      store.save(project);
+    }
+
+    onProgress('rendering', STAGES.rendering);
+    const siteDir = store.siteDir(project.id);
+    const productImages = (input.products || (input.data && input.data.products) || []).map(product => product.image).filter(Boolean);
+    const logo = input.brandKit && input.brandKit.logo;
+    await copyImages([...images, ...productImages, ...(logo ? [logo] : [])], siteDir);
+    project.responsiveImages = await writeResponsiveImages(siteDir, [...images, ...productImages].map(url => siteImagePath(url)));
+    if (input.brandKit) {
+      project.brand = await buildSiteBrand(input.brandKit, siteDir);
+    }
+    renderProject(project, store);
+
+    onProgress('auditing', STAGES.auditing);
+    const accessibility = auditProject(project, store);
+
+    onProgress('seo', STAGES.seo);
+    writeProjectSeoFiles(project, store);
+
+    onProgress('packaging', STAGES.packaging);
+    const { zipPath, size } = await packageProject(project, store);
+
+    return { project, siteDir, zipPath, size, content, accessibility };
+  } catch (error) {
+    project.status = 'failed';
+    project.error = error.message;
+    store.save(project);
+    throw error;
+  }
+}
+
+module.exports = {
+  STAGES,
+  siteCollections,
+  pagesForSection,
+  buildPrompt,
+  renderPages,
+  writePages,
+  renderOptions,
+  renderProject,
+  auditProject,
+  addLanguage,
+  addPost,
+  copyImages,
+  createArchive,
+  packageProject,
+  generateSite
+};
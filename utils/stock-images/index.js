@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const LocalStockImages = require('./local');
+const UnsplashStockImages = require('./unsplash');
+const PexelsStockImages = require('./pexels');
+const { uniqueSlug } = require('../blog');
+const logger = require('../logger');
+
+const STOCK_IMAGE_PROVIDERS = ['local', 'unsplash', 'pexels'];
+const STOCK_IMAGE_DIR = 'images/stock';
+
+// Photos fetched for one site at most; further queries go without
+const MAX_STOCK_IMAGES = 12;
+
+/**
+ * Build the stock image provider that resolves the photo queries in model
+ * content. The name defaults to STOCK_IMAGE_PROVIDER and falls back to
+ * 'local'. Providers implement search(query, { orientation, width }),
+ * resolving with the best photo ({ description, extension, photographer,
+ * photographerUrl, source, sourceUrl, license, licenseUrl, ... }) or null,
+ * and download(photo), resolving with its data.
+ */
+function createStockImageProvider(name = process.env.STOCK_IMAGE_PROVIDER || 'local') {
+  switch (name) {
+    case 'local':
+      return new LocalStockImages({ dir: process.env.STOCK_IMAGES_DIR });
+    case 'unsplash':
+      return new UnsplashStockImages({ accessKey: process.env.UNSPLASH_ACCESS_KEY, appName: process.env.UNSPLASH_APP_NAME });
+    case 'pexels':
+      return new PexelsStockImages({ apiKey: process.env.PEXELS_API_KEY });
+    default:
+      throw new Error(`Unknown stock image provider "${name}". Expected one of: ${STOCK_IMAGE_PROVIDERS.join(', ')}`);
+  }
+}
+
+let sharedProvider = null;
+
+function getStockImageProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createStockImageProvider();
+  }
+  return sharedProvider;
+}
+
+function setStockImageProvider(provider) {
+  sharedProvider = provider;
+}
+
+// Objects in model content asking for a photo ({ unsplashQuery: '...' }),
+// with the orientation that suits their place: portraits for the team,
+// landscape for everything else
+function stockImageRequests(value, keys = []) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => stockImageRequests(item, keys));
+  }
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  const requests = typeof value.unsplashQuery === 'string' && value.unsplashQuery.trim()
+    ? [{ target: value, query: value.unsplashQuery.trim(), orientation: keys.includes('team') ? 'square' : 'landscape' }]
+    : [];
+  return requests.concat(Object.entries(value).flatMap(([key, child]) => stockImageRequests(child, [...keys, key])));
+}
+
+async function fetchStockImage(provider, { query, orientation }, siteDir, credits) {
+  try {
+    const photo = await provider.search(query, { orientation, width: orientation === 'landscape' ? 1600 : 800 });
+    if (!photo) {
+      logger.info({ message: 'No stock image found', provider: provider.name, query });
+      return null;
+    }
+
+    const data = await provider.download(photo);
+    const slug = uniqueSlug(query, credits);
+    const file = `${STOCK_IMAGE_DIR}/${slug}.${photo.extension}`;
+    fs.mkdirSync(path.join(siteDir, STOCK_IMAGE_DIR), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, file), data);
+
+    const { photographer, photographerUrl, source, sourceUrl, license, licenseUrl } = photo;
+    credits.push({ slug, file, query, photographer, photographerUrl, source, sourceUrl, license, licenseUrl });
+    return { src: file, alt: photo.description || query };
+  } catch (error) {
+    logger.warn({ message: 'Could not fetch stock image', provider: provider.name, query, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Find and download a photo for each stock image query in the content into
+ * the site's images/stock/. Every object asking for one gets `src` (the
+ * photo's path in the site) and `alt`; the same query is fetched once.
+ * Queries with no result, or whose photo can't be fetched, are left as they
+ * are. Resolves with the credits to show for the photos: [{ file, query,
+ * photographer, photographerUrl, source, sourceUrl, license, licenseUrl }].
+ */
+async function resolveStockImages(content, siteDir, { provider = getStockImageProvider(), limit = MAX_STOCK_IMAGES } = {}) {
+  const credits = [];
+  const found = new Map();
+
+  for (const request of stockImageRequests(content)) {
+    const id = `${request.orientation}:${request.query.toLowerCase()}`;
+    if (!found.has(id)) {
+      found.set(id, found.size < limit ? await fetchStockImage(provider, request, siteDir, credits) : null);
+    }
+    if (found.get(id)) {
+      Object.assign(request.target, found.get(id));
+    }
+  }
+
+  return credits.map(({ slug, ...credit }) => credit);
+}
+
+module.exports = {
+  STOCK_IMAGE_PROVIDERS,
+  createStockImageProvider,
+  getStockImageProvider,
+  setStockImageProvider,
+  resolveStockImages,
+  LocalStockImages,
+  UnsplashStockImages,
+  PexelsStockImages
+};
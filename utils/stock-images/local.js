@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '../../stock-images');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif'];
+
+const words = text => String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Stock images from a folder, for offline development and tests. A query
+// picks the file whose name shares the most words with it ("team-portrait.jpg"
+// for "professional portrait"). An optional credits.json maps file names to
+// { description, photographer, photographerUrl, source, sourceUrl, license,
+// licenseUrl }.
+class LocalStockImages {
+  constructor({ dir = DEFAULT_DIR } = {}) {
+    this.name = 'local';
+    this.dir = dir;
+  }
+
+  credits() {
+    const file = path.join(this.dir, 'credits.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  async search(query) {
+    if (!fs.existsSync(this.dir)) {
+      return null;
+    }
+
+    const wanted = new Set(words(query));
+    let best = null;
+    let bestScore = 0;
+    for (const file of fs.readdirSync(this.dir).sort()) {
+      if (!IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+      const score = words(path.basename(file, path.extname(file))).filter(word => wanted.has(word)).length;
+      if (score > bestScore) {
+        best = file;
+        bestScore = score;
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const credit = this.credits()[best] || {};
+    return {
+      id: best,
+      description: credit.description || '',
+      extension: path.extname(best).slice(1).toLowerCase(),
+      path: path.join(this.dir, best),
+      photographer: credit.photographer || null,
+      photographerUrl: credit.photographerUrl || null,
+      source: credit.source || null,
+      sourceUrl: credit.sourceUrl || null,
+      license: credit.license || null,
+      licenseUrl: credit.licenseUrl || null
+    };
+  }
+
+  async download(photo) {
+    return fs.readFileSync(photo.path);
+  }
+}
+
+module.exports = LocalStockImages;
@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.pexels.com/v1';
+
+// Photos from Pexels, free to use under the Pexels License
+class PexelsStockImages {
+  constructor({ apiKey, baseURL = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    if (!apiKey) {
+      throw new Error('Pexels API key not set');
+    }
+
+    this.name = 'pexels';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async search(query, { orientation = 'landscape', width = 1600 } = {}) {
+    const response = await axios.get(`${this.baseURL}/search`, {
+      params: { query, per_page: 1, orientation },
+      headers: { Authorization: this.apiKey },
+      timeout: this.timeout
+    });
+    const [photo] = response.data.photos || [];
+    if (!photo) {
+      return null;
+    }
+
+    const download = new URL(photo.src.original);
+    download.searchParams.set('auto', 'compress');
+    download.searchParams.set('cs', 'tinysrgb');
+    download.searchParams.set('w', String(width));
+    return {
+      id: String(photo.id),
+      description: photo.alt || '',
+      extension: 'jpg',
+      downloadUrl: download.href,
+      photographer: photo.photographer,
+      photographerUrl: photo.photographer_url,
+      source: 'Pexels',
+      sourceUrl: photo.url,
+      license: 'Pexels License',
+      licenseUrl: 'https://www.pexels.com/license/'
+    };
+  }
+
+  async download(photo) {
+    const response = await axios.get(photo.downloadUrl, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      maxContentLength: 20 * 1024 * 1024
+    });
+    return Buffer.from(response.data);
+  }
+}
+
+module.exports = PexelsStockImages;
@@ -0,0 +1,75 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.unsplash.com';
+const ORIENTATIONS = { landscape: 'landscape', portrait: 'portrait', square: 'squarish' };
+
+// Photos from Unsplash, free to use under the Unsplash License. As the API
+// guidelines ask, credit links carry the app's name and every download is
+// reported to the photo's download_location.
+class UnsplashStockImages {
+  constructor({ accessKey, appName = 'gpt-site-gen', baseURL = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    if (!accessKey) {
+      throw new Error('Unsplash access key not set');
+    }
+
+    this.name = 'unsplash';
+    this.accessKey = accessKey;
+    this.appName = appName;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  get headers() {
+    return { Authorization: `Client-ID ${this.accessKey}`, 'Accept-Version': 'v1' };
+  }
+
+  referral(link) {
+    const url = new URL(link);
+    url.searchParams.set('utm_source', this.appName);
+    url.searchParams.set('utm_medium', 'referral');
+    return url.href;
+  }
+
+  async search(query, { orientation = 'landscape', width = 1600 } = {}) {
+    const response = await axios.get(`${this.baseURL}/search/photos`, {
+      params: { query, per_page: 1, orientation: ORIENTATIONS[orientation], content_filter: 'high' },
+      headers: this.headers,
+      timeout: this.timeout
+    });
+    const [photo] = response.data.results || [];
+    if (!photo) {
+      return null;
+    }
+
+    const download = new URL(photo.urls.raw);
+    download.searchParams.set('w', String(width));
+    download.searchParams.set('fm', 'jpg');
+    download.searchParams.set('q', '80');
+    download.searchParams.set('fit', 'max');
+    return {
+      id: photo.id,
+      description: photo.alt_description || photo.description || '',
+      extension: 'jpg',
+      downloadUrl: download.href,
+      downloadLocation: photo.links.download_location,
+      photographer: photo.user.name,
+      photographerUrl: this.referral(photo.user.links.html),
+      source: 'Unsplash',
+      sourceUrl: this.referral(photo.links.html),
+      license: 'Unsplash License',
+      licenseUrl: 'https://unsplash.com/license'
+    };
+  }
+
+  async download(photo) {
+    await axios.get(photo.downloadLocation, { headers: this.headers, timeout: this.timeout });
+    const response = await axios.get(photo.downloadUrl, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      maxContentLength: 20 * 1024 * 1024
+    });
+    return Buffer.from(response.data);
+  }
+}
+
+module.exports = UnsplashStockImages;
@@ -0,0 +1,92 @@
+const path = require('path');
+const axios = require('axios');
+const { checkKey, notFound, decodeKey, contentTypeFor } = require('./keys');
+
+// Images on Cloudinary, under `folder`. Cloudinary ids have no extension,
+// so a key's extension is kept as the delivery format.
+class CloudinaryStorage {
+  constructor({ cloudName, apiKey, apiSecret, folder = 'gpt-site-gen', client = require('cloudinary').v2, timeout = 30000 } = {}) {
+    if (!cloudName || !apiKey || !apiSecret) {
+      throw new Error('Cloudinary storage needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    }
+
+    this.name = 'cloudinary';
+    this.cloudName = cloudName;
+    this.folder = folder;
+    this.client = client;
+    this.timeout = timeout;
+    client.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+  }
+
+  publicId(key) {
+    const { dir, name } = path.posix.parse(checkKey(key));
+    return [this.folder, dir, name].filter(Boolean).join('/');
+  }
+
+  async put(key, data, { contentType = contentTypeFor(key) } = {}) {
+    const result = await this.client.uploader.upload(`data:${contentType};base64,${Buffer.from(data).toString('base64')}`, {
+      public_id: this.publicId(key),
+      overwrite: true,
+      resource_type: 'image'
+    });
+    return { key, url: result.secure_url };
+  }
+
+  async get(key) {
+    const response = await axios.get(this.publicUrl(key), {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      validateStatus: () => true
+    });
+    if (response.status === 404) {
+      throw notFound(key);
+    }
+    if (response.status >= 300) {
+      const err = new Error(`Cloudinary GET ${key} failed: ${response.status}`);
+      err.status = 502;
+      throw err;
+    }
+    return Buffer.from(response.data);
+  }
+
+  async delete(key) {
+    await this.client.uploader.destroy(this.publicId(key), { resource_type: 'image' });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let cursor;
+    do {
+      const page = await this.client.api.resources({
+        type: 'upload',
+        resource_type: 'image',
+        prefix: `${this.folder}/${prefix}`,
+        max_results: 500,
+        next_cursor: cursor
+      });
+      for (const resource of page.resources) {
+        objects.push({
+          key: `${resource.public_id.slice(this.folder.length + 1)}.${resource.format}`,
+          size: resource.bytes,
+          lastModified: resource.created_at
+        });
+      }
+      cursor = page.next_cursor;
+    } while (cursor);
+    return objects;
+  }
+
+  publicUrl(key) {
+    return this.client.url(this.publicId(key), { secure: true, format: path.extname(key).slice(1) || undefined });
+  }
+
+  // Keys of this folder's delivery URLs, with or without a version segment
+  keyFromUrl(url) {
+    const prefix = `https://res.cloudinary.com/${this.cloudName}/image/upload/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+    const id = url.slice(prefix.length).replace(/^v\d+\//, '');
+    return id.startsWith(`${this.folder}/`) ? decodeKey(id.slice(this.folder.length + 1)) : null;
+  }
+}
+
+module.exports = CloudinaryStorage;
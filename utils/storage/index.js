@@ -0,0 +1,66 @@
+const LocalStorage = require('./local');
+const S3Storage = require('./s3');
+const CloudinaryStorage = require('./cloudinary');
+const { storageKey, contentTypeFor } = require('./keys');
+
+const STORAGE_DRIVERS = ['local', 's3', 'cloudinary'];
+
+/**
+ * Build the storage uploaded images are kept in. The driver defaults to
+ * STORAGE_DRIVER and falls back to 'local'. Every driver implements
+ * put(key, data, { contentType }) -> { key, url }, get(key) -> Buffer,
+ * delete(key), list(prefix) -> [{ key, size, lastModified }],
+ * publicUrl(key) and keyFromUrl(url), the inverse of publicUrl (null for
+ * URLs the storage doesn't own). Missing keys reject with status 404.
+ */
+function createStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  switch (name) {
+    case 'local':
+      return new LocalStorage();
+    case 's3':
+      return new S3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    case 'cloudinary':
+      return new CloudinaryStorage({
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET,
+        folder: process.env.CLOUDINARY_FOLDER
+      });
+    default:
+      throw new Error(`Unknown storage driver "${name}". Expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+let sharedStorage = null;
+
+// Process-wide storage, created on first use so missing credentials only
+// fail the requests that touch images
+function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorage();
+  }
+  return sharedStorage;
+}
+
+function setStorage(storage) {
+  sharedStorage = storage;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorage,
+  getStorage,
+  setStorage,
+  storageKey,
+  contentTypeFor,
+  LocalStorage,
+  S3Storage,
+  CloudinaryStorage
+};
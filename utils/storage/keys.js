@@ -0,0 +1,59 @@
+const path = require('path');
+
+// Keys are relative paths of plain segments: "1712345678-harbour.jpg",
+// "library/harbour.jpg". Nothing that could climb out of a directory.
+const KEY_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9._-]*(\/[A-Za-z0-9_][A-Za-z0-9._-]*)*$/;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.length > 500) {
+    const err = new Error(`Invalid storage key: ${key}`);
+    err.status = 400;
+    throw err;
+  }
+  return key;
+}
+
+function notFound(key) {
+  const err = new Error(`Not found in storage: ${key}`);
+  err.status = 404;
+  return err;
+}
+
+// A new key for an uploaded file: "Harbour House.JPG" -> "1712345678-Harbour_House.jpg"
+function storageKey(filename, now = Date.now()) {
+  const { name, ext } = path.parse(path.basename(String(filename)));
+  const safeName = name.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._-]+/, '').slice(0, 100) || 'image';
+  return `${now}-${safeName}${ext.toLowerCase().replace(/[^a-z0-9.]/g, '')}`;
+}
+
+// The key in the path of a storage URL; null when it isn't validly
+// percent-encoded ("50%.jpg"), as the URL can't be one the storage made
+function decodeKey(encoded) {
+  try {
+    return decodeURIComponent(encoded);
+  } catch (error) {
+    return null;
+  }
+}
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+  checkKey,
+  notFound,
+  storageKey,
+  decodeKey,
+  contentTypeFor
+};
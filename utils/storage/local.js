@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { checkKey, notFound, decodeKey } = require('./keys');
+
+const DEFAULT_DIR = path.join(__dirname, '../../uploads');
+
+// Files in a directory on this server, which app.js serves at /uploads
+class LocalStorage {
+  constructor({ dir = DEFAULT_DIR, baseUrl = '/uploads' } = {}) {
+    this.name = 'local';
+    this.dir = dir;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, checkKey(key));
+  }
+
+  async put(key, data) {
+    const file = this.filePath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+    return { key, url: this.publicUrl(key) };
+  }
+
+  async get(key) {
+    const file = this.filePath(key);
+    if (!fs.existsSync(file)) {
+      throw notFound(key);
+    }
+    return fs.readFileSync(file);
+  }
+
+  async delete(key) {
+    fs.rmSync(this.filePath(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    const walk = (dir, base) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const key = base + entry.name;
+        if (entry.isDirectory()) {
+          walk(path.join(dir, entry.name), `${key}/`);
+        } else if (!entry.name.startsWith('.') && key.startsWith(prefix)) {
+          const stat = fs.statSync(path.join(dir, entry.name));
+          objects.push({ key, size: stat.size, lastModified: stat.mtime.toISOString() });
+        }
+      }
+    };
+    walk(this.dir, '');
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  publicUrl(key) {
+    return `${this.baseUrl}/${checkKey(key)}`;
+  }
+
+  // The key of a URL publicUrl() returned, or null for any other URL
+  keyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? decodeKey(url.slice(prefix.length)) : null;
+  }
+}
+
+module.exports = LocalStorage;
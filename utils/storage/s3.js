@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { checkKey, notFound, decodeKey, contentTypeFor } = require('./keys');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as Signature Version 4 expects
+const encode = value => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = key => key.split('/').map(encode).join('/');
+
+// Query string with sorted, RFC 3986-encoded parameters. Requests are sent
+// with exactly the string that was signed.
+const canonicalQuery = query => Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+
+/**
+ * AWS Signature Version 4 for an S3 request. `headers` must include host;
+ * every header given is signed. Returns the headers to send: the given ones
+ * plus x-amz-date, x-amz-content-sha256 and Authorization.
+ */
+function signRequest({ method, path, query = {}, headers, body = '', region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    names.map(name => `${name}:${lowered[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+const unescapeXml = text => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// Objects in a bucket of any S3-compatible service (AWS S3, MinIO, R2...),
+// addressed path-style: <endpoint>/<bucket>/<key>
+class S3Storage {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, publicUrl, timeout = 30000 } = {}) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(endpoint).origin;
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    // Where browsers fetch objects from, when that isn't the API endpoint
+    // (a CDN, or a MinIO bucket behind another host name)
+    this.baseUrl = (publicUrl || `${this.endpoint}/${bucket}`).replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async request(method, key, { body, query = {}, headers = {} } = {}) {
+    const path = `/${encode(this.bucket)}${key ? `/${encodeKey(key)}` : ''}`;
+    const signedHeaders = signRequest({
+      method,
+      path,
+      query,
+      headers: { host: new URL(this.endpoint).host, ...headers },
+      body: body || '',
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    const { host, ...sent } = signedHeaders;
+    const search = canonicalQuery(query);
+
+    const response = await axios({
+      method,
+      url: `${this.endpoint}${path}${search ? `?${search}` : ''}`,
+      data: body,
+      headers: sent,
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      validateStatus: () => true
+    });
+
+    if (response.status === 404 && key) {
+      throw notFound(key);
+    }
+    if (response.status >= 300) {
+      const code = xmlValue(Buffer.from(response.data).toString('utf8'), 'Code');
+      const err = new Error(`S3 ${method} ${key || this.bucket} failed: ${code || response.status}`);
+      err.status = 502;
+      throw err;
+    }
+    return Buffer.from(response.data);
+  }
+
+  async put(key, data, { contentType = contentTypeFor(key) } = {}) {
+    await this.request('PUT', checkKey(key), { body: data, headers: { 'content-type': contentType } });
+    return { key, url: this.publicUrl(key) };
+  }
+
+  async get(key) {
+    return this.request('GET', checkKey(key));
+  }
+
+  async delete(key) {
+    await this.request('DELETE', checkKey(key));
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (token) query['continuation-token'] = token;
+      const xml = (await this.request('GET', null, { query })).toString('utf8');
+      for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: xmlValue(entry, 'Key'),
+          size: Number(xmlValue(entry, 'Size')),
+          lastModified: xmlValue(entry, 'LastModified')
+        });
+      }
+      token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (token);
+    return objects;
+  }
+
+  publicUrl(key) {
+    return `${this.baseUrl}/${encodeKey(checkKey(key))}`;
+  }
+
+  keyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? decodeKey(url.slice(prefix.length)) : null;
+  }
+}
+
+S3Storage.signRequest = signRequest;
+
+module.exports = S3Storage;
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { safeUrl, cssValue, jsonForScript } = require('./escape');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+const SUMMARY_LENGTH = 160;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+// Minimal "key: value" front matter; comma-separated values become lists
+// for the keys that are lists.
+const LIST_KEYS = ['sections'];
+
+function parseFrontMatter(source) {
+  const match = source.match(FRONT_MATTER);
+  if (!match) {
+    return { meta: {}, body: source };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (LIST_KEYS.includes(key)) {
+      meta[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (/^-?\d+$/.test(value)) {
+      meta[key] = Number(value);
+    } else {
+      meta[key] = value;
+    }
+  }
+
+  return { meta, body: source.slice(match[0].length) };
+}
+
+function registerHelpers(hbs) {
+  hbs.registerHelper('url', value => safeUrl(value));
+  hbs.registerHelper('css', value => cssValue(value));
+  hbs.registerHelper('json', value => new hbs.SafeString(jsonForScript(value)));
+  hbs.registerHelper('lowercase', value => String(value || '').toLowerCase());
+  hbs.registerHelper('eq', (a, b) => a === b);
+  // First non-empty value: {{> picture alt=(or item.alt item.title)}}
+  hbs.registerHelper('or', (...args) => args.slice(0, -1).find(value => value) || '');
+  // Localised date from an ISO timestamp: {{formatDate item.date language.code}}
+  hbs.registerHelper('formatDate', (value, locale) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    try {
+      return new Intl.DateTimeFormat(typeof locale === 'string' ? locale : 'en', { dateStyle: 'long' }).format(date);
+    } catch (error) {
+      return date.toISOString().slice(0, 10);
+    }
+  });
+  // Localised price: {{formatPrice price menu.currency language.code}}
+  hbs.registerHelper('formatPrice', (value, currency, locale) => {
+    const amount = Number(value);
+    if (!Number.isFinite(amount)) return '';
+    try {
+      return new Intl.NumberFormat(typeof locale === 'string' ? locale : 'en', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return amount.toFixed(2);
+    }
+  });
+  // Form field name from a free-text label: "Phone Number" -> "phone-number"
+  hbs.registerHelper('fieldName', (label) => {
+    const name = String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '');
+    return name.slice(0, 64) || 'field';
+  });
+  // Pick an <input type> from a free-text form field label
+  hbs.registerHelper('inputType', (label) => {
+    const name = String(label || '').toLowerCase();
+    if (name.includes('email')) return 'email';
+    if (name.includes('phone')) return 'tel';
+    return 'text';
+  });
+  // First non-empty value as a single line of at most 160 characters, for
+  // meta descriptions: {{summary page.description content.branding.tagline}}
+  hbs.registerHelper('summary', (...args) => {
+    const values = args.slice(0, -1);
+    const text = String(values.find(value => value && String(value).trim()) || '').replace(/\s+/g, ' ').trim();
+    if (text.length <= SUMMARY_LENGTH) return text;
+    const cut = text.slice(0, SUMMARY_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+  });
+}
+
+/**
+ * Handlebars-based renderer for everything under templates/. Output is
+ * HTML-escaped by default ({{value}}); {{{value}}} is reserved for markup the
+ * renderer produced itself. URLs and CSS values need their own escaping:
+ * {{url value}} and {{css value}} (see utils/escape.js).
+ *
+ *   partials/  shared fragments, registered by file name ({{> nav}})
+ *   layouts/   page shells; a layout receives the rendered page as {{{body}}}
+ *   pages/     one file per page of a multi-page site, with front matter
+ *              (title, nav, description, order, layout, sections,
+ *              collection)
+ *
+ * `overridesDir` has the same layout; a file there replaces the file of the
+ * same name in templatesDir, and pages only it has are added. Themes use it
+ * to ship their own templates.
+ */
+class TemplateEngine {
+  constructor({ templatesDir = TEMPLATES_DIR, overridesDir = null } = {}) {
+    this.templatesDir = templatesDir;
+    this.overridesDir = overridesDir;
+    this.hbs = Handlebars.create();
+    this.cache = new Map();
+    registerHelpers(this.hbs);
+    this.registerPartials();
+  }
+
+  get searchDirs() {
+    return this.overridesDir ? [this.overridesDir, this.templatesDir] : [this.templatesDir];
+  }
+
+  // Absolute path of a template, preferring the overrides directory
+  resolve(relativePath) {
+    const candidates = this.searchDirs.map(dir => path.join(dir, relativePath));
+    return candidates.find(file => fs.existsSync(file)) || candidates[candidates.length - 1];
+  }
+
+  // Names of the files in a subdirectory across all search directories
+  listFiles(subdir) {
+    const files = new Set();
+    for (const dir of this.searchDirs) {
+      const fullDir = path.join(dir, subdir);
+      if (fs.existsSync(fullDir)) {
+        fs.readdirSync(fullDir).forEach(file => files.add(file));
+      }
+    }
+    return [...files];
+  }
+
+  registerPartials() {
+    for (const file of this.listFiles('partials')) {
+      const name = path.parse(file).name;
+      this.hbs.registerPartial(name, fs.readFileSync(this.resolve(path.join('partials', file)), 'utf8'));
+    }
+  }
+
+  // Compiled template plus front matter for a path relative to templatesDir
+  load(relativePath) {
+    if (!this.cache.has(relativePath)) {
+      const source = fs.readFileSync(this.resolve(relativePath), 'utf8');
+      const { meta, body } = parseFrontMatter(source);
+      this.cache.set(relativePath, {
+        meta,
+        template: this.hbs.compile(body, { preventIndent: true }),
+        // Front matter templates; escaped where the layout outputs them
+        title: meta.title ? this.hbs.compile(meta.title, { noEscape: true }) : null,
+        nav: meta.nav ? this.hbs.compile(meta.nav, { noEscape: true }) : null,
+        description: meta.description ? this.hbs.compile(meta.description, { noEscape: true }) : null
+      });
+    }
+    return this.cache.get(relativePath);
+  }
+
+  render(relativePath, data = {}) {
+    return this.load(relativePath).template({ year: new Date().getFullYear(), ...data });
+  }
+
+  // Page files of a multi-page site with their front matter, in nav order
+  listPages(pagesDir = 'pages') {
+    return this.listFiles(pagesDir)
+      .filter(file => file.endsWith('.html'))
+      .map(file => ({ file, meta: this.load(path.join(pagesDir, file)).meta }))
+      .sort((a, b) => (a.meta.order || 0) - (b.meta.order || 0) || a.file.localeCompare(b.file));
+  }
+
+  /**
+   * The files a site's pages render to. A page is one file named after its
+   * template, except a page whose front matter names a `collection`: it
+   * renders once per entry of `collections[name]`, to the entry's `file`,
+   * and not at all when the collection is empty.
+   * Returns [{ file, template, meta, item }].
+   */
+  expandPages(collections = {}, pagesDir = 'pages') {
+    return this.listPages(pagesDir).flatMap(({ file, meta }) => {
+      if (!meta.collection) {
+        return [{ file, template: file, meta, item: null }];
+      }
+      return (collections[meta.collection] || []).map(item => ({ file: item.file, template: file, meta, item }));
+    });
+  }
+
+  /**
+   * Render every page in `pagesDir` inside its layout. Each page sees the
+   * shared data plus `page` (its front matter and rendered title), `nav`
+   * (the pages that declare a nav label) and, for collection pages, `item`.
+   * Titles, nav labels and descriptions are templates too.
+   * Returns { filename: html }.
+   */
+  renderSite(data, { pagesDir = 'pages' } = {}) {
+    const pages = this.expandPages(data.collections, pagesDir);
+    const output = {};
+
+    const base = { year: new Date().getFullYear(), ...data };
+    // A collection page is linked from the nav through its first file
+    const navPages = pages
+      .filter((page, index) => page.meta.nav && pages.findIndex(other => other.template === page.template) === index)
+      .map(page => ({
+        file: page.file,
+        template: page.template,
+        label: this.load(path.join(pagesDir, page.template)).nav(base)
+      }));
+
+    for (const { file, template: templateFile, item } of pages) {
+      const { meta, template, title, description } = this.load(path.join(pagesDir, templateFile));
+      const nav = navPages.map(page => ({ ...page, current: page.file === file }));
+      const context = { ...base, nav, item };
+      context.page = {
+        ...meta,
+        file,
+        title: title ? title(context) : '',
+        description: description ? description(context) : ''
+      };
+
+      const body = template(context);
+      const layout = meta.layout || 'site';
+      output[file] = this.render(path.join('layouts', `${layout}.html`), { ...context, body });
+    }
+
+    return output;
+  }
+}
+
+const templateEngine = new TemplateEngine();
+
+module.exports = {
+  TemplateEngine,
+  templateEngine,
+  parseFrontMatter
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('./logger');
+const { TemplateEngine, templateEngine } = require('./template-engine');
+
+const DEFAULT_THEMES_DIR = path.join(__dirname, '../themes');
+const DEFAULT_THEME = 'modern';
+const WEBSITE_TYPES = ['business', 'retail', 'blog', 'portfolio', 'restaurant'];
+
+// themes/<id>/theme.json
+const manifestSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  mode: Joi.string().valid('light', 'dark').default('light'),
+  websiteTypes: Joi.array().items(Joi.string().valid(...WEBSITE_TYPES)).min(1).default(WEBSITE_TYPES),
+  // CSS custom properties, without the leading "--"
+  variables: Joi.object().pattern(/^[a-z][a-z0-9-]*$/, Joi.string()).default({}),
+  fonts: Joi.object({
+    heading: Joi.string().required(),
+    body: Joi.string().required(),
+    url: Joi.string().uri({ scheme: ['https'] })
+  }).required(),
+  // Directory inside the theme whose files override templates/
+  templates: Joi.string()
+});
+
+/**
+ * Installed theme packs. Every directory under `themesDir` with a valid
+ * theme.json is a theme, keyed by directory name; invalid ones are logged and
+ * skipped. Themes are read once, when the registry is created.
+ */
+class ThemeRegistry {
+  constructor({ themesDir = process.env.THEMES_DIR || DEFAULT_THEMES_DIR } = {}) {
+    this.themesDir = themesDir;
+    this.themes = new Map();
+    this.engines = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.themesDir)) {
+      logger.warn({ message: 'Themes directory not found', themesDir: this.themesDir });
+      return;
+    }
+
+    for (const entry of fs.readdirSync(this.themesDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const manifestPath = path.join(this.themesDir, entry.name, 'theme.json');
+      if (!fs.existsSync(manifestPath)) continue;
+
+      try {
+        const { error, value } = manifestSchema.validate(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+        if (error) throw error;
+        this.themes.set(entry.name, { id: entry.name, ...value });
+      } catch (error) {
+        logger.warn({ message: 'Skipping invalid theme', theme: entry.name, error: error.message });
+      }
+    }
+  }
+
+  ids() {
+    return [...this.themes.keys()];
+  }
+
+  list() {
+    return [...this.themes.values()];
+  }
+
+  get(id) {
+    return this.themes.get(id);
+  }
+
+  // The theme to render with; projects saved before themes existed, or with a
+  // theme since uninstalled, fall back to the default one
+  resolve(id) {
+    return this.get(id) || this.get(DEFAULT_THEME) || this.list()[0];
+  }
+
+  // Template engine that sees the theme's own templates over templates/
+  engineFor(id) {
+    const theme = this.resolve(id);
+    if (!theme || !theme.templates) {
+      return templateEngine;
+    }
+
+    if (!this.engines.has(theme.id)) {
+      this.engines.set(theme.id, new TemplateEngine({
+        overridesDir: path.join(this.themesDir, theme.id, theme.templates)
+      }));
+    }
+    return this.engines.get(theme.id);
+  }
+}
+
+const themeRegistry = new ThemeRegistry();
+
+module.exports = {
+  DEFAULT_THEME,
+  WEBSITE_TYPES,
+  ThemeRegistry,
+  themeRegistry
+};
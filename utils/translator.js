@@ -0,0 +1,102 @@
+const { getProvider } = require('./providers');
+const { generateStructuredContent } = require('./content-generator');
+const { validateSiteContent } = require('../middleware/validation');
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// Keys whose values are identifiers rather than copy and must come back as-is
+const UNTRANSLATED_KEYS = ['colors', 'icon', 'email', 'phone', 'id', 'slug', 'categorySlug', 'date', 'currency', 'dietary', 'image', 'sku'];
+
+// "es" -> "Spanish" (or "español" when asked in Spanish)
+function languageName(code, inLanguage = 'en') {
+  try {
+    return new Intl.DisplayNames([inLanguage], { type: 'language' }).of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+function textDirection(code) {
+  return RTL_LANGUAGES.includes(code.split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+// Directory of a language's pages within the site: the default (first)
+// language lives at the root, the others under <code>/
+function languageDir(code, languages) {
+  return code === languages[0] ? '' : `${code}/`;
+}
+
+// Ways `translated` differs from `source` in structure, or in values that
+// should not have been translated
+function translationErrors(source, translated, basePath = 'value') {
+  if (Array.isArray(source)) {
+    if (!Array.isArray(translated) || translated.length !== source.length) {
+      return [`${basePath} must be an array of ${source.length} items`];
+    }
+    return source.flatMap((item, index) => translationErrors(item, translated[index], `${basePath}.${index}`));
+  }
+
+  if (source !== null && typeof source === 'object') {
+    if (translated === null || typeof translated !== 'object' || Array.isArray(translated)) {
+      return [`${basePath} must be an object`];
+    }
+    return Object.keys(source).flatMap((key) => {
+      const keyPath = `${basePath}.${key}`;
+      if (!(key in translated)) return [`${keyPath} is missing`];
+      if (UNTRANSLATED_KEYS.includes(key) && JSON.stringify(source[key]) !== JSON.stringify(translated[key])) {
+        return [`${keyPath} must not be translated`];
+      }
+      return translationErrors(source[key], translated[key], keyPath);
+    });
+  }
+
+  return typeof translated === typeof source ? [] : [`${basePath} must be a ${typeof source}`];
+}
+
+function buildTranslationPrompt(value, from, to) {
+  return `Translate the website content below from ${languageName(from)} to ${languageName(to)}.
+
+Translate every human-readable string. Keep the JSON keys, array order and array lengths exactly as they are, and leave colors, icon class names, email addresses, phone numbers, ids, SKUs, slugs, dates, image paths, currency codes and dietary tags unchanged.
+
+${JSON.stringify(value, null, 2)}
+
+Respond with a JSON object of the form {"value": <translated JSON>} and nothing else.`;
+}
+
+/**
+ * Translate the strings in any JSON value from one language to another,
+ * keeping its structure. `validate` can check the translated value further.
+ */
+function translateValue(value, { from, to, provider = getProvider(), validate = parsed => ({ value: parsed }) }) {
+  return generateStructuredContent({
+    provider,
+    messages: [{ role: 'user', content: buildTranslationPrompt(value, from, to) }],
+    validate: (parsed) => {
+      if (!parsed || typeof parsed !== 'object' || !('value' in parsed)) {
+        return { error: new Error('Response must be a JSON object with a "value" key') };
+      }
+      const errors = translationErrors(value, parsed.value);
+      if (errors.length > 0) {
+        return { error: new Error(errors.join('; ')) };
+      }
+      return validate(parsed.value);
+    },
+    temperature: 0.3,
+    fixture: 'translation',
+    context: { from, to, value: JSON.stringify(value) }
+  });
+}
+
+// Translate a whole site content object; the result passes the content schema
+function translateContent(content, { from, to, provider }) {
+  return translateValue(content, { from, to, provider, validate: validateSiteContent });
+}
+
+module.exports = {
+  languageName,
+  languageDir,
+  textDirection,
+  translationErrors,
+  translateValue,
+  translateContent
+};